@@ -0,0 +1,622 @@
+/*
+ * Event Tracker calendar views
+ * Month, week and timeline views of the event tracker, loaded the first time
+ * one of them is shown.
+ */
+
+import {
+  getExcelDateParts,
+  MS_PER_DAY,
+  DEFAULT_LOCALE,
+  isTimeString,
+  getZonedFormatter,
+  getZonedParts,
+  zonedTimeToDate,
+  formatClockTime,
+  createDateTimeFromExcel,
+  getRowZones,
+  getDayNumber,
+  getDisplayTimeZone,
+  getTodayNumber,
+  getColumnLabel,
+  getCellText,
+  createRowActionButtons,
+  renderCell,
+  getEventRange,
+  getDayDate,
+  getEventDayNumber,
+} from './utils.js';
+
+/**
+ * Gets the start time of an event, as the table shows it
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state
+ * @returns {string} The formatted time, or '' for events without a time
+ */
+function getEventTimeLabel(row, state) {
+  const { startDateColumn, startTimeColumn } = state.eventColumns;
+  const timeValue = row[startTimeColumn];
+  if (!isTimeString(timeValue)) return '';
+
+  const zones = getRowZones(row, state.dateSettings);
+  if (zones) {
+    const instant = createDateTimeFromExcel(row[startDateColumn], timeValue, zones.source);
+    const { hours, minutes } = getZonedParts(instant, zones.display);
+    return formatClockTime(hours, minutes, state.dateSettings);
+  }
+
+  const [hours, minutes] = String(timeValue).trim().split(':').map(Number);
+  return formatClockTime(hours, minutes, state.dateSettings);
+}
+
+/**
+ * Gets the events of the current data with the days they span
+ * Events are ordered by start day, longer events first, so they stack well.
+ * @param {Object} state - Pagination state
+ * @returns {Array} [{ row, start, end }] with start and end as day numbers
+ */
+function getCalendarEvents(state) {
+  const {
+    startDateColumn,
+    startTimeColumn,
+    endDateColumn,
+    endTimeColumn,
+  } = state.eventColumns;
+
+  return state.currentData
+    .map((row) => {
+      const start = getEventDayNumber(row, startDateColumn, startTimeColumn, state.dateSettings);
+      if (start === null) return null;
+      const end = getEventDayNumber(row, endDateColumn, endTimeColumn, state.dateSettings);
+      return { row, start, end: end !== null && end > start ? end : start };
+    })
+    .filter((event) => event)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Gets the days shown by the month or week view around state.calendarDay
+ * @param {Object} state - Pagination state
+ * @returns {Object} { start, end, first, last, title }, where start and end are
+ *   the first and last days of the grid, first and last those of the month or week
+ */
+function getCalendarRange(state) {
+  const locale = state.dateSettings.locale || DEFAULT_LOCALE;
+
+  if (state.view === 'month') {
+    const { year, month } = getExcelDateParts(state.calendarDay);
+    const first = getDayNumber({ year, month, day: 1 });
+    const last = getDayNumber({ year, month: month + 1, day: 0 });
+    return {
+      start: first - getDayDate(first).getUTCDay(),
+      end: last + 6 - getDayDate(last).getUTCDay(),
+      first,
+      last,
+      title: getZonedFormatter('UTC', { month: 'long', year: 'numeric' }, locale)
+        .format(getDayDate(first)),
+    };
+  }
+
+  const start = state.calendarDay - getDayDate(state.calendarDay).getUTCDay();
+  const formatter = getZonedFormatter('UTC', { month: 'short', day: 'numeric', year: 'numeric' }, locale);
+  return {
+    start,
+    end: start + 6,
+    first: start,
+    last: start + 6,
+    title: `${formatter.format(getDayDate(start))} – ${formatter.format(getDayDate(start + 6))}`,
+  };
+}
+
+/**
+ * Creates one week row of the calendar
+ * Events are laid out on a 7-column grid and span the days they last; events
+ * that overlap are stacked in lanes, each taking the first free lane.
+ * @param {number} weekStart - Day number of the Sunday starting the week
+ * @param {Array} events - Events from getCalendarEvents
+ * @param {Object} range - Range from getCalendarRange
+ * @param {Object} state - Pagination state
+ * @param {Function} onSelect - Called with (row, button) when an event is clicked
+ * @returns {HTMLElement} The week element
+ */
+function createCalendarWeek(weekStart, events, range, state, onSelect) {
+  const week = document.createElement('div');
+  week.classList.add('calendar-week');
+
+  const weekEnd = weekStart + 6;
+  const today = getTodayNumber(state.dateSettings);
+  const laneEnds = [];
+  const placedEvents = events
+    .filter(({ start, end }) => end >= weekStart && start <= weekEnd)
+    .map((event) => {
+      const from = Math.max(event.start, weekStart) - weekStart;
+      const to = Math.min(event.end, weekEnd) - weekStart;
+      let lane = laneEnds.findIndex((laneEnd) => laneEnd < from);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = to;
+      return {
+        ...event,
+        from,
+        to,
+        lane,
+      };
+    });
+
+  // The first row holds the day numbers, the last one stretches the days
+  week.style.gridTemplateRows = `2em repeat(${laneEnds.length}, auto) 1fr`;
+
+  Array.from({ length: 7 }, (_, index) => weekStart + index).forEach((dayNumber, index) => {
+    const day = document.createElement('div');
+    day.classList.add('calendar-day');
+    if (dayNumber < range.first || dayNumber > range.last) day.classList.add('outside-range');
+    if (dayNumber === today) day.classList.add('today');
+    day.style.gridColumn = index + 1;
+    day.style.gridRow = '1 / -1';
+
+    const number = document.createElement('span');
+    number.classList.add('calendar-day-number');
+    number.textContent = getDayDate(dayNumber).getUTCDate();
+    day.appendChild(number);
+    week.appendChild(day);
+  });
+
+  const { titleColumn } = state.eventColumns;
+  placedEvents.forEach(({
+    row, start, end, from, to, lane,
+  }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('calendar-event');
+    if (start < weekStart) button.classList.add('continues-before');
+    if (end > weekEnd) button.classList.add('continues-after');
+    if (start === today) button.classList.add('today-event');
+    button.style.gridColumn = `${from + 1} / ${to + 2}`;
+    button.style.gridRow = lane + 2;
+
+    const title = getCellText(row, titleColumn, state.allColumns, state.dateSettings);
+    const time = getEventTimeLabel(row, state);
+    button.textContent = time ? `${time} ${title}` : title;
+    button.title = button.textContent;
+    button.addEventListener('click', () => onSelect(row, button));
+    week.appendChild(button);
+  });
+
+  return week;
+}
+
+/**
+ * Fills the event popover with the displayed columns of a row
+ * @param {HTMLElement} popover - The popover element
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state
+ * @param {Function} onClose - Called when the close button is clicked
+ */
+function fillEventPopover(popover, row, state, onClose) {
+  popover.innerHTML = '';
+
+  const { titleColumn } = state.eventColumns;
+  const title = getCellText(row, titleColumn, state.allColumns, state.dateSettings);
+  popover.setAttribute('aria-label', title);
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.classList.add('calendar-popover-close');
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.textContent = '×';
+  closeButton.addEventListener('click', onClose);
+  popover.appendChild(closeButton);
+
+  const heading = document.createElement('p');
+  heading.classList.add('calendar-popover-title');
+  heading.textContent = title;
+  popover.appendChild(heading);
+
+  const details = document.createElement('dl');
+  state.columns
+    .filter((column) => column !== titleColumn)
+    .forEach((column) => {
+      const dt = document.createElement('dt');
+      dt.textContent = getColumnLabel(column, state.columnDefinitions);
+      const dd = document.createElement('dd');
+      const text = getCellText(row, column, state.allColumns, state.dateSettings);
+      renderCell(dd, row, column, text, { ...state, searchTerm: '' });
+      details.append(dt, dd);
+    });
+  popover.appendChild(details);
+
+  popover.append(...createRowActionButtons(row, state.rowActions));
+}
+
+/**
+ * Adds the event details popover to a calendar or timeline panel
+ * Clicking anywhere else in the panel or pressing Escape closes it.
+ * @param {HTMLElement} panel - The panel, positioned relatively
+ * @param {Object} state - Pagination state
+ * @param {string} eventSelector - Selector of the elements opening the popover
+ * @returns {Function} Opens the popover for (row, button)
+ */
+function addEventPopover(panel, state, eventSelector) {
+  const popover = document.createElement('div');
+  popover.classList.add('calendar-popover');
+  popover.setAttribute('role', 'dialog');
+  popover.hidden = true;
+
+  let opener = null;
+  const closePopover = () => {
+    if (popover.hidden) return;
+    popover.hidden = true;
+    if (opener) opener.focus();
+  };
+  popover.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closePopover();
+  });
+  panel.addEventListener('click', (event) => {
+    if (!popover.contains(event.target) && !event.target.closest(eventSelector)) {
+      closePopover();
+    }
+  });
+  panel.appendChild(popover);
+
+  return (row, button) => {
+    opener = button;
+    fillEventPopover(popover, row, state, closePopover);
+    popover.hidden = false;
+    // Open below the button, kept inside the panel
+    const panelRect = panel.getBoundingClientRect();
+    const buttonRect = button.getBoundingClientRect();
+    const maxLeft = panel.clientWidth - popover.offsetWidth - 8;
+    popover.style.top = `${buttonRect.bottom - panelRect.top + 4}px`;
+    popover.style.left = `${Math.max(8, Math.min(buttonRect.left - panelRect.left, maxLeft))}px`;
+    popover.querySelector('.calendar-popover-close').focus();
+  };
+}
+
+/**
+ * Renders the month or week calendar of the current data
+ * @param {Object} state - Pagination state
+ */
+function renderCalendarView(state) {
+  const { calendarView } = state;
+  calendarView.innerHTML = '';
+
+  const range = getCalendarRange(state);
+  const events = getCalendarEvents(state);
+  const unit = state.view === 'month' ? 'month' : 'week';
+
+  const panel = document.createElement('div');
+  panel.classList.add('calendar-panel', `calendar-${state.view}-view`);
+
+  // Previous / next navigation
+  const header = document.createElement('div');
+  header.classList.add('calendar-header');
+
+  const step = (direction) => {
+    if (state.view === 'month') {
+      const { year, month } = getExcelDateParts(state.calendarDay);
+      state.calendarDay = getDayNumber({ year, month: month + direction, day: 1 });
+    } else {
+      state.calendarDay += direction * 7;
+    }
+    renderCalendarView(state);
+  };
+
+  const prevButton = document.createElement('button');
+  prevButton.type = 'button';
+  prevButton.textContent = '←';
+  prevButton.setAttribute('aria-label', `Previous ${unit}`);
+  prevButton.classList.add('pagination-button', 'calendar-prev');
+  prevButton.addEventListener('click', () => step(-1));
+
+  const title = document.createElement('span');
+  title.classList.add('calendar-title');
+  title.setAttribute('aria-live', 'polite');
+  title.textContent = range.title;
+
+  const nextButton = document.createElement('button');
+  nextButton.type = 'button';
+  nextButton.textContent = '→';
+  nextButton.setAttribute('aria-label', `Next ${unit}`);
+  nextButton.classList.add('pagination-button', 'calendar-next');
+  nextButton.addEventListener('click', () => step(1));
+
+  const todayButton = document.createElement('button');
+  todayButton.type = 'button';
+  todayButton.textContent = 'Today';
+  todayButton.classList.add('pagination-button', 'calendar-today');
+  todayButton.addEventListener('click', () => {
+    state.calendarDay = getTodayNumber(state.dateSettings);
+    renderCalendarView(state);
+  });
+
+  header.append(prevButton, title, nextButton, todayButton);
+  panel.appendChild(header);
+
+  // Weekday names
+  const weekdays = document.createElement('div');
+  weekdays.classList.add('calendar-weekdays');
+  const locale = state.dateSettings.locale || DEFAULT_LOCALE;
+  const weekdayFormatter = getZonedFormatter('UTC', { weekday: 'short' }, locale);
+  Array.from({ length: 7 }, (_, index) => range.start + index).forEach((dayNumber) => {
+    const weekday = document.createElement('div');
+    weekday.classList.add('calendar-weekday');
+    weekday.textContent = weekdayFormatter.format(getDayDate(dayNumber));
+    weekdays.appendChild(weekday);
+  });
+  panel.appendChild(weekdays);
+
+  // Event details open in a popover next to the clicked event
+  const openPopover = addEventPopover(panel, state, '.calendar-event');
+
+  for (let weekStart = range.start; weekStart <= range.end; weekStart += 7) {
+    panel.appendChild(createCalendarWeek(weekStart, events, range, state, openPopover));
+  }
+
+  if (!events.some(({ start, end }) => end >= range.first && start <= range.last)) {
+    const empty = document.createElement('p');
+    empty.classList.add('calendar-empty');
+    empty.textContent = `No events this ${unit}`;
+    panel.appendChild(empty);
+  }
+
+  calendarView.appendChild(panel);
+}
+
+// Zoom levels of the timeline, from hours to months
+const TIMELINE_ZOOMS = [
+  {
+    label: 'Hours', pxPerDay: 960, tick: 'hour', step: 3,
+  },
+  {
+    label: 'Days', pxPerDay: 120, tick: 'day', step: 1,
+  },
+  {
+    label: 'Weeks', pxPerDay: 24, tick: 'week', step: 7,
+  },
+  {
+    label: 'Months', pxPerDay: 6, tick: 'month', step: 1,
+  },
+];
+
+// The timeline starts at the closest zoom that fits this width (px), and can't
+// be zoomed in beyond the maximum width
+const TIMELINE_FIT_WIDTH = 1200;
+
+const TIMELINE_MAX_WIDTH = 60000;
+
+/**
+ * Gets the ticks of the timeline axis, in the display timezone
+ * The first tick is at or before the start and the last one at or after the end.
+ * @param {Date} start - First instant to show
+ * @param {Date} end - Last instant to show
+ * @param {Object} zoom - Zoom level from TIMELINE_ZOOMS
+ * @param {string|null} timeZone - Display timezone, or null for the viewer's
+ * @returns {Array} The tick instants
+ */
+function getTimelineTicks(start, end, zoom, timeZone) {
+  const {
+    year, month, day, hours,
+  } = getZonedParts(start, timeZone);
+  const cursor = {
+    year, month, day, hours: 0, minutes: 0,
+  };
+  if (zoom.tick === 'hour') cursor.hours = hours - (hours % zoom.step);
+  if (zoom.tick === 'week') cursor.day -= getDayDate(getDayNumber(cursor)).getUTCDay();
+  if (zoom.tick === 'month') cursor.day = 1;
+
+  const ticks = [zonedTimeToDate(cursor, timeZone)];
+  while (ticks[ticks.length - 1] < end) {
+    if (zoom.tick === 'hour') cursor.hours += zoom.step;
+    else if (zoom.tick === 'month') cursor.month += zoom.step;
+    else cursor.day += zoom.step;
+    ticks.push(zonedTimeToDate(cursor, timeZone));
+  }
+  return ticks;
+}
+
+/**
+ * Formats the label of a timeline tick
+ * @param {Date} tick - The tick instant
+ * @param {Object} zoom - Zoom level from TIMELINE_ZOOMS
+ * @param {string|null} timeZone - Display timezone, or null for the viewer's
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @returns {string} The label
+ */
+function formatTimelineTick(tick, zoom, timeZone, dateSettings = {}) {
+  const locale = dateSettings.locale || DEFAULT_LOCALE;
+  const dayFormatter = getZonedFormatter(timeZone, { month: 'short', day: 'numeric' }, locale);
+
+  if (zoom.tick === 'hour') {
+    const { hours, minutes } = getZonedParts(tick, timeZone);
+    const time = formatClockTime(hours, minutes, dateSettings);
+    return hours < zoom.step ? `${dayFormatter.format(tick)} ${time}` : time;
+  }
+  if (zoom.tick === 'day') {
+    return getZonedFormatter(timeZone, { weekday: 'short', month: 'short', day: 'numeric' }, locale)
+      .format(tick);
+  }
+  if (zoom.tick === 'week') return dayFormatter.format(tick);
+  return getZonedFormatter(timeZone, { month: 'short', year: 'numeric' }, locale).format(tick);
+}
+
+/**
+ * Renders the timeline of the current data
+ * Every event is a bar from its start to its end, in the order of the table,
+ * grouped by the timeline group column; a line marks the current time.
+ * @param {Object} state - Pagination state
+ */
+function renderTimelineView(state) {
+  const { calendarView, dateSettings } = state;
+  calendarView.innerHTML = '';
+
+  const panel = document.createElement('div');
+  panel.classList.add('timeline-panel');
+  calendarView.appendChild(panel);
+
+  const events = state.currentData
+    .map((row) => ({ row, range: getEventRange(row, state) }))
+    .filter(({ range }) => range);
+
+  if (events.length === 0) {
+    const empty = document.createElement('p');
+    empty.classList.add('calendar-empty');
+    empty.textContent = 'No events to show';
+    panel.appendChild(empty);
+    return;
+  }
+
+  const first = events.reduce((min, { range }) => Math.min(min, range.start.getTime()), Infinity);
+  const last = events.reduce((max, { range }) => Math.max(max, range.end.getTime()), -Infinity);
+  const getWidth = (zoom) => ((last - first) / MS_PER_DAY) * zoom.pxPerDay;
+
+  // Start with the closest zoom that fits, then keep the one picked by the viewer
+  if (state.timelineZoom === null
+    || getWidth(TIMELINE_ZOOMS[state.timelineZoom]) > TIMELINE_MAX_WIDTH) {
+    const fitting = TIMELINE_ZOOMS.findIndex((zoom) => getWidth(zoom) <= TIMELINE_FIT_WIDTH);
+    state.timelineZoom = fitting === -1 ? TIMELINE_ZOOMS.length - 1 : fitting;
+  }
+  const zoom = TIMELINE_ZOOMS[state.timelineZoom];
+  const timeZone = getDisplayTimeZone(dateSettings);
+  const ticks = getTimelineTicks(new Date(first), new Date(last), zoom, timeZone);
+  const axisStart = ticks[0].getTime();
+  const axisEnd = ticks[ticks.length - 1].getTime();
+  const toX = (time) => ((time - axisStart) / MS_PER_DAY) * zoom.pxPerDay;
+
+  // Zoom controls
+  const header = document.createElement('div');
+  header.classList.add('calendar-header');
+
+  const setZoom = (index) => {
+    state.timelineZoom = index;
+    renderTimelineView(state);
+  };
+
+  const zoomOutButton = document.createElement('button');
+  zoomOutButton.type = 'button';
+  zoomOutButton.textContent = '−';
+  zoomOutButton.setAttribute('aria-label', 'Zoom out');
+  zoomOutButton.classList.add('pagination-button', 'timeline-zoom-out');
+  zoomOutButton.disabled = state.timelineZoom === TIMELINE_ZOOMS.length - 1;
+  zoomOutButton.addEventListener('click', () => setZoom(state.timelineZoom + 1));
+
+  const zoomLabel = document.createElement('span');
+  zoomLabel.classList.add('calendar-title');
+  zoomLabel.setAttribute('aria-live', 'polite');
+  zoomLabel.textContent = zoom.label;
+
+  const zoomInButton = document.createElement('button');
+  zoomInButton.type = 'button';
+  zoomInButton.textContent = '+';
+  zoomInButton.setAttribute('aria-label', 'Zoom in');
+  zoomInButton.classList.add('pagination-button', 'timeline-zoom-in');
+  zoomInButton.disabled = state.timelineZoom === 0
+    || getWidth(TIMELINE_ZOOMS[state.timelineZoom - 1]) > TIMELINE_MAX_WIDTH;
+  zoomInButton.addEventListener('click', () => setZoom(state.timelineZoom - 1));
+
+  header.append(zoomOutButton, zoomLabel, zoomInButton);
+  panel.appendChild(header);
+
+  const openPopover = addEventPopover(panel, state, '.timeline-bar');
+
+  // The time axis, with a grid line at every tick
+  const scroller = document.createElement('div');
+  scroller.classList.add('timeline-scroll');
+  const canvas = document.createElement('div');
+  canvas.classList.add('timeline-canvas');
+  canvas.style.width = `${toX(axisEnd)}px`;
+
+  const axis = document.createElement('div');
+  axis.classList.add('timeline-axis');
+  canvas.appendChild(axis);
+  ticks.forEach((tick) => {
+    const tickLine = document.createElement('div');
+    tickLine.classList.add('timeline-tick');
+    tickLine.style.left = `${toX(tick.getTime())}px`;
+    const label = document.createElement('span');
+    label.textContent = formatTimelineTick(tick, zoom, timeZone, dateSettings);
+    tickLine.appendChild(label);
+    canvas.appendChild(tickLine);
+  });
+
+  // One row per event, grouped in the order the groups first appear
+  const { titleColumn, startDateColumn, endDateColumn } = state.eventColumns;
+  const groups = new Map();
+  events.forEach((event) => {
+    const group = state.timelineGroupColumn
+      ? getCellText(event.row, state.timelineGroupColumn, state.allColumns, dateSettings)
+      : '';
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(event);
+  });
+
+  groups.forEach((groupEvents, group) => {
+    const groupDiv = document.createElement('div');
+    groupDiv.classList.add('timeline-group');
+
+    if (state.timelineGroupColumn) {
+      const groupLabel = document.createElement('div');
+      groupLabel.classList.add('timeline-group-label');
+      groupLabel.textContent = `${group || '—'} (${groupEvents.length})`;
+      groupDiv.appendChild(groupLabel);
+    }
+
+    groupEvents.forEach(({ row, range }) => {
+      const eventRow = document.createElement('div');
+      eventRow.classList.add('timeline-row');
+
+      const title = getCellText(row, titleColumn, state.allColumns, dateSettings);
+      const dates = [startDateColumn, endDateColumn]
+        .map((column) => getCellText(row, column, state.allColumns, dateSettings))
+        .filter((text) => text);
+
+      const bar = document.createElement('button');
+      bar.type = 'button';
+      bar.classList.add('timeline-bar');
+      bar.style.left = `${toX(range.start.getTime())}px`;
+      bar.style.width = `${Math.max(4, toX(range.end.getTime()) - toX(range.start.getTime()))}px`;
+      bar.textContent = title;
+      bar.title = `${title}: ${dates.join(' – ')}`;
+      bar.addEventListener('click', () => openPopover(row, bar));
+      eventRow.appendChild(bar);
+      groupDiv.appendChild(eventRow);
+    });
+
+    canvas.appendChild(groupDiv);
+  });
+
+  // Mark the current time
+  const now = Date.now();
+  if (now >= axisStart && now <= axisEnd) {
+    const nowLine = document.createElement('div');
+    nowLine.classList.add('timeline-now');
+    nowLine.style.left = `${toX(now)}px`;
+    nowLine.title = 'Now';
+    canvas.appendChild(nowLine);
+
+    const nowButton = document.createElement('button');
+    nowButton.type = 'button';
+    nowButton.textContent = 'Now';
+    nowButton.classList.add('pagination-button', 'timeline-now-button');
+    nowButton.addEventListener('click', () => {
+      scroller.scrollLeft = toX(now) - scroller.clientWidth / 2;
+    });
+    header.appendChild(nowButton);
+  }
+
+  scroller.appendChild(canvas);
+  panel.appendChild(scroller);
+}
+
+// Views drawn instead of the table
+const VIEW_RENDERERS = {
+  month: renderCalendarView,
+  week: renderCalendarView,
+  timeline: renderTimelineView,
+};
+
+/**
+ * Renders the view picked with the view toggle: the month or week calendar, or the timeline
+ * @param {Object} state - Pagination state
+ */
+export default function renderView(state) {
+  VIEW_RENDERERS[state.view](state);
+}
@@ -33,168 +33,515 @@
  * | /path-to-excel-file.json |
  *
  * If no columns are specified, all columns will be displayed.
+ *
+ * Click a header to sort, shift-click to add secondary sort keys. A default
+ * multi-key sort can be set with "Default Sort": Event Start Date asc, Name asc
+ * Headers are buttons (Enter or Space sorts), and sorting and paging are
+ * announced to screen readers. "Caption" names the table (default: Events).
+ * Arrow keys, Home/End and Page Up/Down move through the cells and pages, "/"
+ * focuses the search box, "[" / "]" turn pages and "?" lists the shortcuts.
+ * Enter on a row opens the link in "Row Link Column".
+ *
+ * "Column Types" sets how cells are shown, e.g. Registration URL=link,
+ * Owner=email, Logo=image, Status=badge, Tags=chips; "Badge Colors" colours
+ * badge values (Sold Out=red). Other cells holding a web or email address are
+ * linked. Only http(s) addresses and /paths are linked or loaded.
+ *
+ * Column definitions at the end of the block, under a header row such as
+ * | Column | Label | Order | Width | Align | Visible | Type | Time Column |
+ * (or in a "columns" sheet, see "Columns Sheet") relabel, order, size, align
+ * and hide columns, and pair date columns with their time columns. Close them
+ * with an "End Columns" row to put configuration rows after them.
+ *
+ * "Page Sizes" (comma-separated, e.g. 20, 50, all) sets the sizes offered per
+ * page and "Page Size" the initial one. Pages beyond the nearest ones are
+ * reached with the first/last buttons or the jump-to-page box.
+ *
+ * A search box above the table filters the displayed columns as you type.
+ * Use "Searchable Columns" (comma-separated) to limit the columns it searches.
+ * "Filter Columns" (comma-separated, or "all") adds a filter row under the headers.
+ *
+ * "Export" (csv, xlsx or false) sets the export buttons next to the pagination.
+ * Exports hold every page of the current view and only the displayed columns.
+ *
+ * Rows get an "Add to calendar" (.ics) button and the export bar a "Download
+ * calendar" button for the current view, unless "Calendar" is false. Events
+ * start at "Start Date Column" / "Start Time Column" (default "Event Start
+ * Date" / "Event Start Time") and end at the date and time columns; "Title
+ * Column", "Calendar Description Column" and "Calendar Location Column" fill in
+ * the event details.
+ *
+ * "View" (table, month, week or timeline) sets the initial view; a toggle above
+ * the table switches between the table, calendar and timeline views of the same
+ * data. "Timeline Group Column" groups the timeline bars, e.g. by Region.
+ *
+ * "Summary" (e.g. "Today, Next 7 Days, Region", or true for the date tiles) shows
+ * count tiles above the table: "Upcoming", "Today" and "Next 7 Days" count
+ * events by date, a column name adds a tile per value. Tiles filter the table.
+ *
+ * Rows are marked as upcoming, starting soon (within "Starting Soon", default 1h),
+ * in progress or ended; "Status: true" adds a badge column and "Status Countdown:
+ * true" the time until events start or end.
+ *
+ * "Group By" (a column, or "month" for the month events start in) shows the rows
+ * in collapsible groups with their counts.
+ *
+ * Below "Card Breakpoint" (px, default 768, false keeps the table) rows are shown
+ * as cards with the "Title Column", a date line and label/value pairs.
+ *
+ * The data is cached (Cache API) by source URL: later visits render the cached
+ * rows at once, then revalidate them in the background and re-render if they
+ * changed. "Last updated ..." next to the pagination shows how fresh they are.
+ * "Refresh Interval" (e.g. 5m) fetches the source again on that interval for wall
+ * displays, highlighting new or changed rows; "Key Column" identifies the rows.
+ *
+ * "Mode: kiosk" turns the block into a lobby screen: larger type, a clock, the
+ * events happening now, and pages that turn every "Kiosk Interval" (default 15s)
+ * instead of pagination controls. Interacting with it pauses the paging.
+ *
+ * Sort, page, page size, search and filters are kept in the query string
+ * (e.g. ?et.sort=Name&et.page=2). Each block on a page uses its own prefix:
+ * "et", "et2", ... or the "State Key" config value.
+ *
+ * Multi-sheet workbooks:
+ * | Sheet         | Conferences                        |
+ * | Sheets        | Conferences, Webinars, Workshops   |
+ * | Sheet Tabs    | true                               |
+ *
+ * "Sheet" picks one sheet, "Sheets" merges several into one table with a
+ * derived "Sheet" column ("Source Sheet" if a sheet has its own "Sheet"
+ * column), and "Sheet Tabs" lets visitors switch between them.
+ *
+ * Timezones:
+ * | Timezone          | America/Los_Angeles            |
+ * | Timezone Column   | Event Timezone                 |
+ * | Display Timezone  | viewer                         |
+ *
+ * Dates and times are read in the configured timezone (a valid per-row value
+ * wins) and shown in the event's timezone, or in the viewer's with "viewer".
+ *
+ * Date formatting:
+ * | Locale        | de-DE                                |
+ * | Date Format   | long                                 |
+ *
+ * Date Format is one of numeric (default), short, medium, long, full or relative.
  */
 
-import { readBlockConfig } from '../../scripts/aem.js';
+import { readBlockConfig, toClassName } from '../../scripts/aem.js';
+import {
+  getExcelDateParts,
+  getDateKey,
+  DATE_FORMATS,
+  DEFAULT_LOCALE,
+  isExcelSerialDate,
+  isTimeString,
+  isValidTimeZone,
+  getZonedFormatter,
+  getZonedParts,
+  isValidLocale,
+  createDateTimeFromExcel,
+  getRowZones,
+  getEventInstant,
+  getTimeColumnForDate,
+  getDayNumber,
+  getTodayNumber,
+  recordSourceRows,
+  getColumnLabel,
+  foldSearchText,
+  getCellText,
+  appendHighlightedText,
+  createRowActionButtons,
+  getSafeUrl,
+  BADGE_COLORS,
+  CELL_RENDERERS,
+  renderCell,
+  getEventRange,
+  getDayDate,
+  getEventDayNumber,
+  getDisplayItems,
+  getTotalPages,
+} from './utils.js';
 
 /**
- * Converts Excel serial date number to a readable date string
- * @param {string|number} serialDate - Excel serial date number
- * @returns {string} Formatted date string (MM/DD/YYYY)
+ * Checks if an event is in the past
+ * @param {Object} row - Data row object
+ * @param {string} dateColumn - Name of the date column
+ * @param {string|null} timeColumn - Name of the time column, null for date-only events
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {boolean} True if the event is in the past
  */
-function formatExcelDate(serialDate) {
-  // Excel's epoch starts from 1900-01-01, but with a leap year bug
-  // So we need to adjust by subtracting 2 days
-  const excelEpoch = new Date(1900, 0, 1);
-  const days = parseFloat(serialDate) - 2;
-  const date = new Date(excelEpoch.getTime() + days * 24 * 60 * 60 * 1000);
+function isEventInPast(row, dateColumn, timeColumn, dateSettings = {}) {
+  // Without a time column an event lasts until the end of its day
+  if (!timeColumn) {
+    const value = row[dateColumn];
+    if (!value || !isExcelSerialDate(value)) return false;
+    return getDayNumber(getExcelDateParts(value)) < getTodayNumber(dateSettings);
+  }
+
+  const eventDateTime = getEventInstant(row, dateColumn, timeColumn, dateSettings);
+
+  if (!eventDateTime) {
+    return false; // If no valid date, don't filter out
+  }
 
-  // Format as MM/DD/YYYY
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const year = date.getFullYear();
+  const now = new Date();
 
-  return `${month}/${day}/${year}`;
+  return eventDateTime < now;
 }
 
 /**
- * Checks if a value looks like an Excel serial date
- * @param {string} value - The value to check
- * @returns {boolean} True if it looks like a serial date
+ * Filters out past events from the data
+ * @param {Array} data - Array of data objects
+ * @param {string} dateColumn - Name of the date column
+ * @param {string|null} timeColumn - Name of the time column, null for date-only events
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {Array} Filtered data array
  */
-function isExcelSerialDate(value) {
-  // First check if the value is purely numeric (no letters, special chars except decimal point)
-  if (!/^\d+(\.\d+)?$/.test(value.trim())) {
-    return false;
+function filterPastEvents(data, dateColumn, timeColumn, dateSettings = {}) {
+  if (!dateColumn) {
+    return data; // If no date column specified, return all data
   }
 
-  // Check if it's a number between reasonable Excel date range
-  const num = parseFloat(value);
-  // Excel dates typically range from 1 (1900-01-01) to ~100000 (2173-10-14)
-  // We check for integers or numbers with decimal parts (time components)
-  return !Number.isNaN(num) && num >= 1 && num < 100000;
+  return data.filter((row) => !isEventInPast(row, dateColumn, timeColumn, dateSettings));
 }
 
+// Maximum number of sheet chunks requested at the same time
+const MAX_PARALLEL_REQUESTS = 4;
+
 /**
- * Formats a cell value based on its content
- * @param {string} value - The cell value
- * @returns {string} Formatted value
+ * Fetches a single JSON document
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<Object>} The parsed JSON
  */
-function formatCellValue(value) {
-  if (!value) return '';
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
 
-  // Check if it's an Excel serial date
-  if (isExcelSerialDate(value)) {
-    return formatExcelDate(value);
+/**
+ * Builds the URL of one chunk of a paginated sheet
+ * @param {string} url - The source URL
+ * @param {number} offset - Index of the first row to fetch
+ * @param {number} limit - Number of rows to fetch
+ * @param {string} sheetName - Sheet to request from a multi-sheet workbook (optional)
+ * @returns {string} The chunk URL
+ */
+function buildChunkUrl(url, offset, limit, sheetName = null) {
+  const chunkUrl = new URL(url, window.location.href);
+  chunkUrl.searchParams.set('offset', offset);
+  chunkUrl.searchParams.set('limit', limit);
+  if (sheetName) {
+    chunkUrl.searchParams.set('sheet', sheetName);
   }
+  return chunkUrl.toString();
+}
+
+/**
+ * Checks if a JSON response is a multi-sheet workbook
+ * @param {Object} jsonData - The JSON response
+ * @returns {boolean} True for multi-sheet responses
+ */
+function isMultiSheet(jsonData) {
+  return !!jsonData
+    && (jsonData[':type'] === 'multi-sheet' || Array.isArray(jsonData[':names']));
+}
 
-  return value;
+/**
+ * Gets the sheet names of a multi-sheet workbook in workbook order
+ * @param {Object} jsonData - The JSON response
+ * @returns {Array} Sheet names
+ */
+function getSheetNames(jsonData) {
+  const names = Array.isArray(jsonData[':names'])
+    ? jsonData[':names']
+    : Object.keys(jsonData).filter((key) => !key.startsWith(':'));
+  return names.filter((name) => jsonData[name] && Array.isArray(jsonData[name].data));
+}
+
+/**
+ * Extracts the rows from a chunk response
+ * A chunk of a multi-sheet workbook may come back wrapped in its sheet name
+ * @param {Object} chunk - The chunk response
+ * @param {string} sheetName - Name of the requested sheet (optional)
+ * @returns {Array} The chunk rows
+ */
+function getChunkRows(chunk, sheetName) {
+  if (Array.isArray(chunk.data)) return chunk.data;
+  if (sheetName && chunk[sheetName] && Array.isArray(chunk[sheetName].data)) {
+    return chunk[sheetName].data;
+  }
+  return [];
 }
 
 /**
- * Formats Excel serial date with time
- * @param {string|number} dateValue - Excel serial date
- * @param {string} timeValue - Time string (e.g., "03:00")
- * @returns {string} Formatted date and time string
+ * Fetches the rows of a sheet that were not part of the first response.
+ * Edge Delivery sheets return at most `limit` rows per request and report
+ * the `total`, so the remaining chunks are requested in parallel.
+ * @param {string} url - The source URL
+ * @param {Object} firstPage - The first sheet response
+ * @param {Function} onProgress - Called with (loadedRows, totalRows)
+ * @param {string} sheetName - Sheet name within a multi-sheet workbook (optional)
+ * @returns {Promise<Array>} All rows of the sheet
  */
-function formatDateTimeValue(dateValue, timeValue) {
-  if (!dateValue) return '';
+async function fetchRemainingRows(url, firstPage, onProgress, sheetName = null) {
+  const total = Number(firstPage.total);
+  const firstRows = firstPage.data;
+  const chunkSize = Number(firstPage.limit) || firstRows.length;
+  const startOffset = (Number(firstPage.offset) || 0) + firstRows.length;
 
-  const formattedDate = isExcelSerialDate(dateValue) ? formatExcelDate(dateValue) : dateValue;
+  if (!chunkSize || !Number.isFinite(total) || startOffset >= total) return firstRows;
 
-  if (timeValue && timeValue.trim()) {
-    return `${formattedDate} ${timeValue}`;
+  const offsets = [];
+  for (let offset = startOffset; offset < total; offset += chunkSize) {
+    offsets.push(offset);
   }
 
-  return formattedDate;
+  const chunks = new Array(offsets.length);
+  let loaded = firstRows.length;
+  let next = 0;
+  onProgress(loaded, total);
+
+  // Each worker picks the next pending offset until none are left
+  const worker = async () => {
+    while (next < offsets.length) {
+      const index = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      const chunk = await fetchJson(buildChunkUrl(url, offsets[index], chunkSize, sheetName));
+      chunks[index] = getChunkRows(chunk, sheetName);
+      loaded += chunks[index].length;
+      onProgress(loaded, total);
+    }
+  };
+
+  const workerCount = Math.min(MAX_PARALLEL_REQUESTS, offsets.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return firstRows.concat(...chunks);
 }
 
 /**
- * Gets the corresponding time column name for a date column
- * @param {string} dateColumn - Date column name
- * @param {Array} allColumns - All available columns
- * @returns {string|null} Time column name or null
+ * Fetches every sheet of a multi-sheet workbook, following each sheet's pagination
+ * @param {string} url - The source URL
+ * @param {Object} jsonData - The first multi-sheet response
+ * @param {Function} onProgress - Called with (loadedRows, totalRows) across all sheets
+ * @returns {Promise<Object>} The workbook with complete sheets
  */
-function getTimeColumnForDate(dateColumn, allColumns) {
-  // If column ends with "Date", look for corresponding "Time" column
-  if (dateColumn.endsWith('Date')) {
-    const timeColumn = dateColumn.replace(/Date$/, 'Time');
-    if (allColumns.includes(timeColumn)) {
-      return timeColumn;
-    }
+async function fetchAllSheets(url, jsonData, onProgress) {
+  const names = getSheetNames(jsonData);
+  const progress = {};
+  const reportProgress = (name, loaded, total) => {
+    progress[name] = { loaded, total };
+    const sums = Object.values(progress).reduce((acc, entry) => ({
+      loaded: acc.loaded + entry.loaded,
+      total: acc.total + entry.total,
+    }), { loaded: 0, total: 0 });
+    onProgress(sums.loaded, sums.total);
+  };
+
+  const sheets = await Promise.all(names.map(async (name) => {
+    const sheet = jsonData[name];
+    const data = await fetchRemainingRows(
+      url,
+      sheet,
+      (loaded, total) => reportProgress(name, loaded, total),
+      name,
+    );
+    return [name, {
+      ...sheet,
+      offset: 0,
+      limit: data.length,
+      data,
+    }];
+  }));
+
+  return { ...jsonData, ...Object.fromEntries(sheets) };
+}
+
+// Name of the Cache API cache that keeps fetched sources between visits
+const DATA_CACHE_NAME = 'event-tracker';
+
+// Cached sources older than this are ignored, so returning visitors don't first see
+// a stale snapshot
+const DATA_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Opens the cache used for fetched sources
+ * @returns {Promise<Cache|null>} The cache, or null where the Cache API is unavailable
+ */
+async function openDataCache() {
+  // The Cache API only exists in secure contexts
+  if (typeof caches === 'undefined') return null;
+  try {
+    return await caches.open(DATA_CACHE_NAME);
+  } catch (error) {
+    return null;
   }
-  return null;
 }
 
 /**
- * Creates a Date object from Excel serial date and time
- * @param {string|number} serialDate - Excel serial date
- * @param {string} timeString - Time string (e.g., "03:00")
- * @returns {Date} JavaScript Date object
+ * Gets the cache key of a source URL
+ * @param {string} url - The source URL
+ * @returns {string} The absolute source URL
+ */
+function getDataCacheKey(url) {
+  return new URL(url, window.location.href).toString();
+}
+
+/**
+ * Reads a source from the cache
+ * @param {string} url - The source URL
+ * @returns {Promise<Object|null>} The cached { json, fetchedAt, etag, lastModified },
+ *   or null when there is none or it is older than DATA_CACHE_MAX_AGE
  */
-function createDateTimeFromExcel(serialDate, timeString) {
-  // Convert Excel serial date to JavaScript Date
-  const excelEpoch = new Date(1900, 0, 1);
-  const days = parseFloat(serialDate) - 2;
-  const date = new Date(excelEpoch.getTime() + days * 24 * 60 * 60 * 1000);
+async function readCachedData(url) {
+  const cache = await openDataCache();
+  if (!cache) return null;
+  try {
+    const response = await cache.match(getDataCacheKey(url));
+    const entry = response ? await response.json() : null;
+    if (!entry || !entry.json) return null;
+    if (!(Date.now() - entry.fetchedAt < DATA_CACHE_MAX_AGE)) {
+      await cache.delete(getDataCacheKey(url));
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
 
-  // Parse time string (format: "HH:MM")
-  if (timeString && timeString.match(/^\d{1,2}:\d{2}$/)) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    date.setHours(hours, minutes, 0, 0);
+/**
+ * Stores a fetched source in the cache
+ * @param {string} url - The source URL
+ * @param {Object} entry - { json, fetchedAt, etag, lastModified }
+ */
+async function writeCachedData(url, entry) {
+  const cache = await openDataCache();
+  if (!cache) return;
+  try {
+    await cache.put(getDataCacheKey(url), new Response(JSON.stringify(entry), {
+      headers: { 'Content-Type': 'application/json' },
+    }));
+  } catch (error) {
+    // A full or unavailable cache only costs the next visit a full load
+    // eslint-disable-next-line no-console
+    console.warn('Error caching data:', error);
   }
+}
 
-  return date;
+// Shortest accepted refresh interval (ms), to spare the source
+const MIN_REFRESH_INTERVAL = 10000;
+
+/**
+ * Parses an interval such as "300", "30s", "5m" or "1h" (plain numbers are seconds)
+ * @param {string} value - The configuration value
+ * @param {number} minimum - Shortest accepted interval (ms)
+ * @returns {number} The interval in ms, 0 when missing or off
+ */
+function parseInterval(value, minimum) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(s|m|h)?$/);
+  if (!match) return 0;
+  const unit = { s: 1000, m: 60000, h: 3600000 }[match[2] || 's'];
+  const interval = Math.round(parseFloat(match[1]) * unit);
+  return interval > 0 ? Math.max(minimum, interval) : 0;
 }
 
 /**
- * Checks if an event is in the past
+ * Gets the key that identifies a row across refreshes
+ * Without a key column, a row is identified by its content.
  * @param {Object} row - Data row object
- * @param {string} dateColumn - Name of the date column
- * @param {string} timeColumn - Name of the time column
- * @returns {boolean} True if the event is in the past
+ * @param {string|null} keyColumn - Column with unique row keys
+ * @returns {string} The row key
  */
-function isEventInPast(row, dateColumn, timeColumn) {
-  const dateValue = row[dateColumn];
-  const timeValue = row[timeColumn];
+function getRowKey(row, keyColumn) {
+  if (keyColumn && row[keyColumn] !== undefined && row[keyColumn] !== '') {
+    return `${keyColumn}:${row[keyColumn]}`;
+  }
+  return JSON.stringify(row);
+}
 
-  if (!dateValue || !isExcelSerialDate(dateValue)) {
-    return false; // If no valid date, don't filter out
+/**
+ * Fetches the rows missing from the first response of a source
+ * @param {string} url - The source URL
+ * @param {Object} jsonData - The first response
+ * @param {Function} onProgress - Called with (loadedRows, totalRows) while paging
+ * @returns {Promise<Object>} The complete JSON data
+ */
+async function fetchRemainingData(url, jsonData, onProgress) {
+  if (isMultiSheet(jsonData)) {
+    return fetchAllSheets(url, jsonData, onProgress);
   }
 
-  const eventDateTime = createDateTimeFromExcel(dateValue, timeValue);
-  const now = new Date();
+  // Plain arrays and single-page sheets need no further requests
+  if (!Array.isArray(jsonData.data) || !Number.isFinite(Number(jsonData.total))) {
+    return jsonData;
+  }
 
-  return eventDateTime < now;
+  const data = await fetchRemainingRows(url, jsonData, onProgress);
+  return {
+    ...jsonData,
+    offset: 0,
+    limit: data.length,
+    data,
+  };
 }
 
 /**
- * Filters out past events from the data
- * @param {Array} data - Array of data objects
- * @param {string} dateColumn - Name of the date column
- * @param {string} timeColumn - Name of the time column
- * @returns {Array} Filtered data array
+ * Checks if the first response of a source holds all of its rows
+ * @param {Object} jsonData - The first response
+ * @returns {boolean} True when no further chunks had to be requested
  */
-function filterPastEvents(data, dateColumn, timeColumn) {
-  if (!dateColumn || !timeColumn) {
-    return data; // If no date/time columns specified, return all data
-  }
-
-  return data.filter((row) => !isEventInPast(row, dateColumn, timeColumn));
+function isCompleteResponse(jsonData) {
+  const sheets = isMultiSheet(jsonData)
+    ? getSheetNames(jsonData).map((name) => jsonData[name])
+    : [jsonData];
+  return sheets.every((sheet) => !Array.isArray(sheet.data)
+    || !Number.isFinite(Number(sheet.total))
+    || (Number(sheet.offset) || 0) + sheet.data.length >= Number(sheet.total));
 }
 
 /**
- * Fetches JSON data from the specified URL
+ * Fetches JSON data from the specified URL, following sheet pagination.
+ * Responses are cached by source URL. Given the cached entry, the source is
+ * revalidated with its ETag / Last-Modified and only fetched again if it changed.
+ * Only same-origin sources that fit in one response are revalidated: the
+ * validators of the first chunk say nothing about the later ones, and on other
+ * origins the conditional headers would cost a CORS preflight per request.
  * @param {string} url - The URL to fetch data from
- * @returns {Promise<Object>} The JSON data
+ * @param {Function} onProgress - Called with (loadedRows, totalRows) while paging
+ * @param {Object} cached - The cached entry to revalidate (optional)
+ * @returns {Promise<Object|null>} { json, fetchedAt, etag, lastModified }, null on errors
  */
-async function fetchData(url) {
+async function fetchData(url, onProgress = () => {}, cached = null) {
   try {
-    const response = await fetch(url);
+    const headers = {};
+    if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const response = await fetch(url, { headers });
+    // Unchanged: keep the time it was fetched, so the cache still expires
+    if (cached && response.status === 304) {
+      return cached;
+    }
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
-    return await response.json();
+
+    const firstPage = await response.json();
+    const revalidate = isCompleteResponse(firstPage)
+      && new URL(url, window.location.href).origin === window.location.origin;
+    const entry = {
+      json: await fetchRemainingData(url, firstPage, onProgress),
+      fetchedAt: Date.now(),
+      etag: revalidate ? response.headers.get('ETag') : null,
+      lastModified: revalidate ? response.headers.get('Last-Modified') : null,
+    };
+    writeCachedData(url, entry);
+    return entry;
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Error fetching data:', error);
@@ -202,6 +549,115 @@ async function fetchData(url) {
   }
 }
 
+// Name of the derived column added when several sheets are merged
+const SHEET_COLUMN = 'Sheet';
+
+/**
+ * Finds a sheet name ignoring case and surrounding whitespace
+ * @param {Array} sheetNames - Available sheet names
+ * @param {string} name - Requested sheet name
+ * @returns {string|undefined} The matching sheet name
+ */
+function findSheetName(sheetNames, name) {
+  const wanted = name.trim().toLowerCase();
+  return sheetNames.find((sheetName) => sheetName.toLowerCase() === wanted);
+}
+
+/**
+ * Picks the name of the derived sheet column
+ * A sheet that already has a `Sheet` column keeps it, the derived column is
+ * renamed to `Source Sheet` (numbered if that is taken too).
+ * @param {Object} jsonData - The multi-sheet response
+ * @param {Array} sheetNames - Sheets to merge
+ * @returns {string} A column name none of the sheets uses
+ */
+function getSheetColumnName(jsonData, sheetNames) {
+  const used = new Set(sheetNames.flatMap((name) => jsonData[name].data
+    .flatMap((row) => Object.keys(row))));
+  if (!used.has(SHEET_COLUMN)) return SHEET_COLUMN;
+
+  let column = `Source ${SHEET_COLUMN}`;
+  for (let suffix = 2; used.has(column); suffix += 1) {
+    column = `Source ${SHEET_COLUMN} ${suffix}`;
+  }
+  return column;
+}
+
+/**
+ * Merges the rows of several sheets, tagging each row with its sheet name
+ * @param {Object} jsonData - The multi-sheet response
+ * @param {Array} sheetNames - Sheets to merge
+ * @param {string} sheetColumn - Column that holds the sheet name
+ * @returns {Array} Merged rows
+ */
+function mergeSheetRows(jsonData, sheetNames, sheetColumn) {
+  return sheetNames.flatMap((name) => {
+    const rows = jsonData[name].data.map((row) => ({ [sheetColumn]: name, ...row }));
+    recordSourceRows(rows, name);
+    return rows;
+  });
+}
+
+/**
+ * Resolves which sheets of a multi-sheet workbook are shown
+ * Each view is either one sheet or several sheets merged into one table.
+ * @param {Object} jsonData - The multi-sheet response
+ * @param {Object} options - Sheet configuration
+ * @param {string} options.sheet - Sheet to show (or to select first when tabs are shown)
+ * @param {Array} options.sheets - Sheets to merge into one table
+ * @param {boolean} options.tabs - Whether visitors can switch between sheets
+ * @param {string} options.selected - Tab to select, e.g. restored from the URL (optional)
+ * @param {string} options.exclude - Sheet that never shows, e.g. the column definitions
+ *   (optional)
+ * @returns {Object} { views, activeIndex } or { error }
+ */
+function resolveSheetViews(jsonData, {
+  sheet, sheets, tabs, selected = null, exclude = null,
+}) {
+  const sheetNames = getSheetNames(jsonData).filter((name) => name !== exclude);
+  if (sheetNames.length === 0) {
+    return { error: 'Invalid data format: the workbook contains no sheets' };
+  }
+
+  const singleView = (name) => {
+    recordSourceRows(jsonData[name].data, name);
+    return { label: name, sheets: [name], data: jsonData[name].data };
+  };
+  const mergedNames = sheets
+    .map((name) => findSheetName(sheetNames, name))
+    .filter((name, index, names) => name && names.indexOf(name) === index);
+  const sheetColumn = getSheetColumnName(jsonData, mergedNames);
+  const mergedView = mergedNames.length > 0
+    ? {
+      label: 'All',
+      sheets: mergedNames,
+      sheetColumn,
+      data: mergeSheetRows(jsonData, mergedNames, sheetColumn),
+    }
+    : null;
+  const selectedName = sheet ? findSheetName(sheetNames, sheet) : null;
+
+  if (sheet && !selectedName && !mergedView) {
+    return { error: `Sheet "${sheet}" not found. Available sheets: ${sheetNames.join(', ')}` };
+  }
+
+  if (!tabs) {
+    return {
+      views: [mergedView || singleView(selectedName || sheetNames[0])],
+      activeIndex: 0,
+    };
+  }
+
+  const views = mergedView
+    ? [mergedView, ...mergedNames.map(singleView)]
+    : sheetNames.map(singleView);
+  const selectedIndex = views.findIndex((view) => view.label === selected);
+  const activeIndex = selectedIndex !== -1
+    ? selectedIndex
+    : Math.max(0, views.findIndex((view) => view.label === selectedName));
+  return { views, activeIndex };
+}
+
 // Removed unused function - column widths are now auto-calculated by CSS
 
 /**
@@ -221,8 +677,13 @@ function getColumnDataType(data, column) {
 
   if (sampleValues.length === 0) return 'text';
 
-  // Check if all values look like dates (MM/DD/YYYY format)
-  const datePattern = /^\d{1,2}\/\d{1,2}\/\d{4}$/;
+  // Excel serial dates are plain numbers, so they only count as dates in date columns
+  if (/date/i.test(column) && sampleValues.every((value) => isExcelSerialDate(value))) {
+    return 'date';
+  }
+
+  // Check if all values look like text dates (MM/DD/YYYY or YYYY-MM-DD format)
+  const datePattern = /^(\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2})/;
   if (sampleValues.every((value) => datePattern.test(String(value)))) {
     return 'date';
   }
@@ -240,16 +701,72 @@ function getColumnDataType(data, column) {
 }
 
 /**
- * Sorts data by column
+ * Gets the timestamp behind a date cell
+ * Serial dates use the same instants as past-event filtering, so times and
+ * timezones are taken into account; text dates are parsed as-is.
+ * @param {Object} row - Data row object
+ * @param {string} column - Date column name
+ * @param {string|null} timeColumn - Matching time column name
+ * @param {Object} dateSettings - Date settings of the block
+ * @returns {number|null} Milliseconds since the epoch, or null if not a date
+ */
+function getDateTimestamp(row, column, timeColumn, dateSettings = {}) {
+  const value = row[column];
+  if (isExcelSerialDate(value)) {
+    return getEventInstant(row, column, timeColumn, dateSettings).getTime();
+  }
+  const timestamp = new Date(value).getTime();
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Gets the value a cell sorts by: a timestamp for dates (null if it can't be
+ * parsed), a number for numbers and lower-case text otherwise
+ * @param {Object} row - Data row object
+ * @param {string} column - Column name
+ * @param {string} dataType - 'date', 'number' or 'text'
+ * @param {string} timeColumn - Time column paired with a date column
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {number|string|null} The sort value
+ */
+function getSortValue(row, column, dataType, timeColumn, dateSettings) {
+  if (dataType === 'date') return getDateTimestamp(row, column, timeColumn, dateSettings);
+  if (dataType === 'number') return parseFloat(row[column]);
+  return String(row[column]).toLowerCase();
+}
+
+/**
+ * Creates a comparator for one sort key
+ * Types and sort values are worked out before sorting; with the table's
+ * columnTypes and sortValues caches they are only worked out once per column.
  * @param {Array} data - Array of data objects
  * @param {string} column - Column name to sort by
  * @param {string} direction - 'asc' or 'desc'
- * @returns {Array} Sorted data array
+ * @param {Object} options - { allColumns, dateSettings, columnTypes, sortValues } usually
+ *   the pagination state, where columnTypes maps columns to their type and
+ *   sortValues collects the sort values of every column
+ * @returns {Function} Comparator for two rows
  */
-function sortData(data, column, direction) {
-  const dataType = getColumnDataType(data, column);
+function createColumnComparator(data, column, direction, options = {}) {
+  const { columnTypes, sortValues } = options;
+  const dataType = (columnTypes && columnTypes.get(column)) || getColumnDataType(data, column);
+  const timeColumn = dataType === 'date'
+    ? getTimeColumnForDate(column, options.allColumns || [], options.dateSettings)
+    : null;
 
-  return [...data].sort((a, b) => {
+  // Dates sort by their underlying timestamps, never by the display string
+  let values = sortValues && sortValues.get(column);
+  if (!values) {
+    values = new WeakMap();
+    if (sortValues) sortValues.set(column, values);
+  }
+  data.forEach((row) => {
+    if (!values.has(row) && (row[column] || '') !== '') {
+      values.set(row, getSortValue(row, column, dataType, timeColumn, options.dateSettings));
+    }
+  });
+
+  return (a, b) => {
     const valueA = a[column] || '';
     const valueB = b[column] || '';
 
@@ -258,52 +775,109 @@ function sortData(data, column, direction) {
     if (valueA === '') return direction === 'asc' ? 1 : -1;
     if (valueB === '') return direction === 'asc' ? -1 : 1;
 
+    const sortA = values.get(a);
+    const sortB = values.get(b);
     let comparison = 0;
 
     switch (dataType) {
-      case 'date': {
-        // Parse dates (MM/DD/YYYY format)
-        const dateA = new Date(valueA);
-        const dateB = new Date(valueB);
-        comparison = dateA - dateB;
+      case 'date':
+        // Compare timestamps, unparseable dates go last
+        if (sortA !== null && sortB !== null) {
+          comparison = sortA - sortB;
+        } else {
+          comparison = (sortA !== null ? 0 : 1) - (sortB !== null ? 0 : 1);
+        }
         break;
-      }
 
       case 'number':
-        // Parse numbers
-        comparison = parseFloat(valueA) - parseFloat(valueB);
+        comparison = sortA - sortB;
         break;
 
       case 'text':
       default:
         // String comparison (case insensitive)
-        comparison = String(valueA).toLowerCase().localeCompare(String(valueB).toLowerCase());
+        comparison = sortA.localeCompare(sortB);
         break;
     }
 
     return direction === 'desc' ? -comparison : comparison;
+  };
+}
+
+/**
+ * Sorts data by one or more columns
+ * Later keys only decide between rows that are equal on the earlier ones,
+ * and rows that are equal on every key keep their original order.
+ * @param {Array} data - Array of data objects
+ * @param {Array} sortKeys - [{ column, direction }] in priority order
+ * @param {Object} options - { allColumns, dateSettings } used to sort dates by instant
+ * @returns {Array} Sorted data array
+ */
+function sortData(data, sortKeys, options = {}) {
+  const comparators = sortKeys.map(({ column, direction }) => createColumnComparator(
+    data,
+    column,
+    direction,
+    options,
+  ));
+  const positions = new Map(data.map((row, index) => [row, index]));
+
+  return [...data].sort((a, b) => {
+    for (let i = 0; i < comparators.length; i += 1) {
+      const comparison = comparators[i](a, b);
+      if (comparison !== 0) return comparison;
+    }
+    return positions.get(a) - positions.get(b);
   });
 }
 
+/**
+ * Parses a sort definition such as "Event Start Date asc, Name desc"
+ * @param {Array} entries - Entries of the list, e.g. from parseListConfig
+ * @param {Array} allColumns - Columns that can be sorted by
+ * @returns {Array} [{ column, direction }]
+ */
+function parseSortKeys(entries, allColumns) {
+  return entries
+    .map((entry) => {
+      const match = entry.trim().match(/^(.*?)(?:[\s:]+(asc|desc))?$/i);
+      return {
+        column: match[1].trim(),
+        direction: (match[2] || 'asc').toLowerCase(),
+      };
+    })
+    .filter(({ column }, index, keys) => allColumns.includes(column)
+      && keys.findIndex((key) => key.column === column) === index);
+}
+
 /**
  * Creates a sortable table header
+ * The column label is a button, so headers can be sorted from the keyboard.
  * @param {string} column - Column name
+ * @param {string} label - Column label (default: the column name)
  * @returns {HTMLElement} The header element
  */
-function createSortableHeader(column) {
+function createSortableHeader(column, label = column) {
   const th = document.createElement('th');
-  th.textContent = column;
-  th.style.cursor = 'pointer';
-  th.style.userSelect = 'none';
+  th.scope = 'col';
+  th.dataset.column = column;
   th.classList.add('sortable-header');
 
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('sort-button');
+  button.title = 'Click to sort, shift-click to add a secondary sort';
+  button.textContent = label;
+
   // Add sort indicator
   const sortIndicator = document.createElement('span');
   sortIndicator.classList.add('sort-indicator');
+  sortIndicator.setAttribute('aria-hidden', 'true');
   sortIndicator.textContent = ' ↕';
   sortIndicator.style.opacity = '0.5';
-  th.appendChild(sortIndicator);
+  button.appendChild(sortIndicator);
 
+  th.appendChild(button);
   return th;
 }
 
@@ -322,192 +896,2010 @@ function getPaginatedData(data, page, itemsPerPage) {
 
 /**
  * Checks if a date matches today's date
+ * With a time and configured timezones, the event instant is compared with
+ * today in the display timezone; otherwise the calendar date is compared
+ * with today in the timezone the event is written in.
  * @param {string} dateValue - The date value to check
+ * @param {string} timeValue - The time value (optional)
+ * @param {Object|null} zones - Source and display timezones from getRowZones
  * @returns {boolean} True if date is today
  */
-function isToday(dateValue) {
+function isToday(dateValue, timeValue = '', zones = null) {
   if (!dateValue || !isExcelSerialDate(dateValue)) {
     return false;
   }
 
-  const formattedDate = formatExcelDate(dateValue);
-  const today = new Date();
-  const todayFormatted = `${String(today.getMonth() + 1).padStart(2, '0')}/${String(today.getDate()).padStart(2, '0')}/${today.getFullYear()}`;
+  const now = new Date();
+
+  if (zones && isTimeString(timeValue)) {
+    const instant = createDateTimeFromExcel(dateValue, timeValue, zones.source);
+    return getDateKey(getZonedParts(instant, zones.display))
+      === getDateKey(getZonedParts(now, zones.display));
+  }
 
-  return formattedDate === todayFormatted;
+  const todayKey = getDateKey(getZonedParts(now, zones ? zones.source : null));
+  return getDateKey(getExcelDateParts(dateValue)) === todayKey;
 }
 
 /**
- * Renders the table body with data
- * @param {HTMLElement} tbody - Table body element
- * @param {Array} data - Data to render
+ * Checks if a row's Event Start Date column (among the displayed ones) is today
+ * @param {Object} row - Data row object
  * @param {Array} columns - Column names to display
  * @param {Array} allColumns - All available column names from data
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {boolean} True if the event starts today
  */
-function renderTableBody(tbody, data, columns, allColumns = []) {
-  tbody.innerHTML = '';
-  data.forEach((row) => {
-    const tr = document.createElement('tr');
+function isRowToday(row, columns, allColumns, dateSettings = {}) {
+  const eventStartDateColumn = columns.find((col) => col.toLowerCase().includes('event start date')
+    || col.toLowerCase() === 'event start date');
 
-    // Check if this row's Event Start Date is today
-    const eventStartDateColumn = columns.find((col) => col.toLowerCase().includes('event start date')
-      || col.toLowerCase() === 'event start date');
+  const eventStartTimeColumn = eventStartDateColumn
+    && getTimeColumnForDate(eventStartDateColumn, allColumns, dateSettings);
 
-    if (eventStartDateColumn && isToday(row[eventStartDateColumn])) {
-      tr.classList.add('today-event');
-    }
+  if (!eventStartDateColumn) return false;
+  const zones = getRowZones(row, dateSettings);
+  return isToday(row[eventStartDateColumn], row[eventStartTimeColumn], zones);
+}
 
-    columns.forEach((column) => {
-      const td = document.createElement('td');
+// Marks the group header items mixed into the rows of a grouped table
+const GROUP_HEADER = Symbol('group header');
+
+/**
+ * Creates the toggle button of a group header
+ * @param {Object} group - The group header
+ * @param {Object} options - { groupBy, collapsedGroups, onGroupToggle } usually the
+ *   pagination state
+ * @returns {HTMLButtonElement} The button
+ */
+function createGroupToggle(group, options) {
+  const { groupBy, collapsedGroups, onGroupToggle } = options;
+  const collapsed = collapsedGroups.has(group.key);
 
-      // Check if this is a date column with a corresponding time column
-      const timeColumn = getTimeColumnForDate(column, allColumns);
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('group-toggle');
+  button.setAttribute('aria-expanded', !collapsed);
 
-      if (timeColumn) {
-        // Combine date and time
-        const dateValue = row[column] || '';
-        const timeValue = row[timeColumn] || '';
-        td.textContent = formatDateTimeValue(dateValue, timeValue);
-      } else {
-        // Regular column
-        const rawValue = row[column] || '';
-        td.textContent = formatCellValue(rawValue);
-      }
+  const icon = document.createElement('span');
+  icon.classList.add('group-toggle-icon');
+  icon.setAttribute('aria-hidden', 'true');
+  icon.textContent = collapsed ? '▸' : '▾';
 
-      tr.appendChild(td);
-    });
-    tbody.appendChild(tr);
-  });
+  const name = groupBy.byMonth ? 'Month' : groupBy.column;
+  const count = `${group.rows.length} ${group.rows.length === 1 ? 'event' : 'events'}`;
+  button.append(icon, `${name}: ${group.label || '—'} (${count})${group.continued ? ' (continued)' : ''}`);
+  button.addEventListener('click', () => onGroupToggle(group.key));
+
+  return button;
 }
 
+// Event statuses by start and end instant, with their badge labels
+const EVENT_STATUSES = {
+  upcoming: 'Upcoming',
+  'starting-soon': 'Starting soon',
+  'in-progress': 'In progress',
+  ended: 'Ended',
+};
+
+// How long (ms) before they start events count as starting soon, and how often
+// the status badges are brought up to date
+const DEFAULT_STARTING_SOON = 60 * 60 * 1000;
+const STATUS_REFRESH_INTERVAL = 60000;
+
 /**
- * Updates sort indicators on headers
- * @param {NodeList} headers - All header elements
- * @param {string} activeColumn - Currently sorted column
- * @param {string} direction - Sort direction
+ * Gets the status of an event: upcoming, starting soon, in progress or ended
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state, with status settings { startingSoon }
+ * @param {Date} now - The current instant
+ * @returns {Object|null} { status, range }, or null if the row has no start date
  */
-function updateSortIndicators(headers, activeColumn, direction) {
-  headers.forEach((header) => {
-    const indicator = header.querySelector('.sort-indicator');
-    const column = header.textContent.replace(' ↕', '').replace(' ↑', '').replace(' ↓', '');
+function getEventStatus(row, state, now = new Date()) {
+  const range = getEventRange(row, state);
+  if (!range) return null;
 
-    if (column === activeColumn) {
-      indicator.textContent = direction === 'asc' ? ' ↑' : ' ↓';
-      indicator.style.opacity = '1';
-      header.classList.add('sorted');
-    } else {
-      indicator.textContent = ' ↕';
-      indicator.style.opacity = '0.5';
-      header.classList.remove('sorted');
-    }
-  });
+  let status = 'upcoming';
+  if (now >= range.end) {
+    status = 'ended';
+  } else if (now >= range.start) {
+    status = 'in-progress';
+  } else if (range.start - now <= state.status.startingSoon) {
+    status = 'starting-soon';
+  }
+  return { status, range };
 }
 
 /**
- * Updates pagination controls
- * @param {HTMLElement} container - Container element
+ * Formats the time until an event starts or ends ("in 25 minutes", "ends in 2 hours")
+ * @param {Object} eventStatus - { status, range } from getEventStatus
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @param {Date} now - The current instant
+ * @returns {string} The countdown, empty for ended events
+ */
+function formatCountdown(eventStatus, dateSettings, now = new Date()) {
+  const { status, range } = eventStatus;
+  if (status === 'ended') return '';
+
+  const target = status === 'in-progress' ? range.end : range.start;
+  const minutes = Math.max(1, Math.ceil((target - now) / 60000));
+  const relativeFormat = new Intl.RelativeTimeFormat(dateSettings.locale || DEFAULT_LOCALE);
+  let countdown = relativeFormat.format(minutes, 'minute');
+  if (minutes >= 60 * 48) {
+    countdown = relativeFormat.format(Math.round(minutes / (60 * 24)), 'day');
+  } else if (minutes >= 60) {
+    countdown = relativeFormat.format(Math.round(minutes / 60), 'hour');
+  }
+  return status === 'in-progress' ? `ends ${countdown}` : countdown;
+}
+
+/**
+ * Creates the status badge of an event, with its countdown if enabled
+ * @param {Object} eventStatus - { status, range } from getEventStatus
  * @param {Object} state - Pagination state
+ * @returns {HTMLElement} The badge
  */
-function updatePaginationControls(container, state) {
-  const pageNav = container.querySelector('.page-navigation');
-  if (!pageNav) return;
+function createStatusBadge(eventStatus, state) {
+  const badge = document.createElement('span');
+  badge.classList.add('event-status', `event-status-${eventStatus.status}`);
+  badge.textContent = EVENT_STATUSES[eventStatus.status];
 
-  pageNav.innerHTML = '';
+  const countdown = state.status.countdown
+    ? formatCountdown(eventStatus, state.dateSettings)
+    : '';
+  if (countdown) {
+    const countdownSpan = document.createElement('span');
+    countdownSpan.classList.add('event-countdown');
+    countdownSpan.textContent = countdown;
+    badge.append(' ', countdownSpan);
+  }
+  return badge;
+}
 
-  const totalPages = Math.ceil(state.currentData.length / state.itemsPerPage);
-
-  // Previous button
-  const prevButton = document.createElement('button');
-  prevButton.textContent = '← Previous';
-  prevButton.classList.add('pagination-button', 'prev-button');
-  prevButton.disabled = state.currentPage === 1;
-  prevButton.addEventListener('click', () => {
-    if (state.currentPage > 1) {
-      state.currentPage -= 1;
-      const paginatedData = getPaginatedData(
-        state.currentData,
-        state.currentPage,
-        state.itemsPerPage,
-      );
-      renderTableBody(state.tbody, paginatedData, state.columns, state.allColumns);
-      updatePaginationControls(container, state);
-    }
-  });
-  pageNav.appendChild(prevButton);
+// Rows rendered into each table row or card that shows an event status
+const statusRows = new WeakMap();
 
-  // Page info
-  const pageInfo = document.createElement('span');
-  pageInfo.classList.add('page-info');
-  pageInfo.textContent = `Page ${state.currentPage} of ${totalPages}`;
-  pageNav.appendChild(pageInfo);
+/**
+ * Brings the status classes and badges of the rendered rows or cards up to date
+ * Only the classes and badges change, so scroll position and focus are kept.
+ * @param {Object} state - Pagination state
+ */
+function updateEventStatuses(state) {
+  const now = new Date();
+  const elements = state.layout === 'cards'
+    ? state.cardList.querySelectorAll('.event-card')
+    : state.tbody.querySelectorAll('tr');
+  elements.forEach((element) => {
+    const row = statusRows.get(element);
+    const eventStatus = row ? getEventStatus(row, state, now) : null;
+    if (!eventStatus) return;
 
-  // Next button
-  const nextButton = document.createElement('button');
-  nextButton.textContent = 'Next →';
-  nextButton.classList.add('pagination-button', 'next-button');
-  nextButton.disabled = state.currentPage >= totalPages;
-  nextButton.addEventListener('click', () => {
-    if (state.currentPage < totalPages) {
-      state.currentPage += 1;
-      const paginatedData = getPaginatedData(
-        state.currentData,
-        state.currentPage,
-        state.itemsPerPage,
-      );
-      renderTableBody(state.tbody, paginatedData, state.columns, state.allColumns);
-      updatePaginationControls(container, state);
-    }
+    Object.keys(EVENT_STATUSES).forEach((status) => {
+      element.classList.toggle(`status-${status}`, status === eventStatus.status);
+    });
+    const badge = element.querySelector('.event-status');
+    if (badge) badge.replaceWith(createStatusBadge(eventStatus, state));
   });
-  pageNav.appendChild(nextButton);
 }
 
 /**
- * Adds click handlers for sorting
- * @param {HTMLElement} table - Table element
- * @param {HTMLElement} thead - Table head element
- * @param {HTMLElement} tbody - Table body element
- * @param {Array} data - Original data
- * @param {Array} columns - Column names
- * @param {Object} paginationState - Pagination state object
- * @param {HTMLElement} container - Container for pagination controls
+ * Gets the number of cells rendered after the displayed columns
+ * @param {Object} options - { status, rowActions }, usually the pagination state
+ * @returns {number} 1 for the status column and 1 for the row actions, if shown
  */
-function addSortHandlers(table, thead, tbody, data, columns, paginationState, container) {
-  const headers = thead.querySelectorAll('.sortable-header');
+function getExtraCellCount(options) {
+  const { status = null, rowActions = [] } = options;
+  return (status && status.column ? 1 : 0) + (rowActions.length > 0 ? 1 : 0);
+}
+
+// Rows (or group headers) rendered into each table row, for keyboard navigation
+const gridRows = new WeakMap();
+
+/**
+ * Gets the rows of a table body that can be navigated with the keyboard
+ * @param {HTMLElement} tbody - Table body element
+ * @returns {Array} The table rows, without the spacer rows
+ */
+function getGridRows(tbody) {
+  return [...tbody.rows].filter((tr) => !tr.classList.contains('virtual-spacer'));
+}
+
+/**
+ * Moves the keyboard focus to a cell of the table body
+ * @param {HTMLElement} tbody - Table body element
+ * @param {number} rowIndex - Row index, clamped to the rows shown
+ * @param {number} columnIndex - Cell index, clamped to the cells of the row
+ */
+function focusGridCell(tbody, rowIndex, columnIndex) {
+  const rows = getGridRows(tbody);
+  if (rows.length === 0) return;
+
+  const tr = rows[Math.max(0, Math.min(rowIndex, rows.length - 1))];
+  tr.cells[Math.max(0, Math.min(columnIndex, tr.cells.length - 1))].focus();
+}
+
+/**
+ * Renders the table body with data
+ * @param {HTMLElement} tbody - Table body element
+ * @param {Array} data - Data to render
+ * @param {Array} columns - Column names to display
+ * @param {Array} allColumns - All available column names from data
+ * @param {Object} options - { dateSettings, searchTerm, rowActions, updatedRows, status }
+ *   usually the pagination state, where rowActions are [{ label, className, onClick(row) }],
+ *   updatedRows is a Set of rows to highlight and status holds the status settings;
+ *   grouped tables also pass { groupBy, collapsedGroups, onGroupToggle }
+ */
+function renderTableBody(tbody, data, columns, allColumns = [], options = {}) {
+  const {
+    dateSettings = {},
+    rowActions = [],
+    updatedRows = null,
+    status = null,
+    columnDefinitions = null,
+  } = options;
+  const now = new Date();
+
+  // Re-rendering (e.g. scrolling in the "All" rows mode) keeps the focused cell
+  const hadFocus = tbody.contains(document.activeElement);
+
+  tbody.innerHTML = '';
+  data.forEach((row) => {
+    const tr = document.createElement('tr');
+    gridRows.set(tr, row);
+
+    // Group headers span the whole row
+    if (row[GROUP_HEADER]) {
+      tr.classList.add('group-header');
+      const td = document.createElement('td');
+      td.colSpan = columns.length + getExtraCellCount(options);
+      td.appendChild(createGroupToggle(row, options));
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+      return;
+    }
+
+    // Check if this row's Event Start Date is today
+    if (isRowToday(row, columns, allColumns, dateSettings)) {
+      tr.classList.add('today-event');
+    }
+
+    // Rows that are new or changed since the last refresh
+    if (updatedRows && updatedRows.has(row)) {
+      tr.classList.add('updated-row');
+    }
+
+    const eventStatus = status ? getEventStatus(row, options, now) : null;
+    if (eventStatus) {
+      tr.classList.add(`status-${eventStatus.status}`);
+      statusRows.set(tr, row);
+    }
+
+    columns.forEach((column) => {
+      const td = document.createElement('td');
+      const definition = columnDefinitions && columnDefinitions.get(column);
+      if (definition && definition.align) td.classList.add(`align-${definition.align}`);
+      renderCell(td, row, column, getCellText(row, column, allColumns, dateSettings), options);
+      tr.appendChild(td);
+    });
+
+    if (status && status.column) {
+      const td = document.createElement('td');
+      td.classList.add('row-status');
+      if (eventStatus) td.appendChild(createStatusBadge(eventStatus, options));
+      tr.appendChild(td);
+    }
+
+    if (rowActions.length > 0) {
+      const td = document.createElement('td');
+      td.classList.add('row-actions');
+      td.append(...createRowActionButtons(row, rowActions));
+      tr.appendChild(td);
+    }
+
+    tbody.appendChild(tr);
+  });
+
+  // Cells are reached with the arrow keys, the buttons and links in them with Enter
+  tbody.querySelectorAll('td').forEach((td) => {
+    td.setAttribute('role', 'gridcell');
+    td.tabIndex = -1;
+  });
+  tbody.querySelectorAll('td button, td a').forEach((control) => { control.tabIndex = -1; });
+
+  const rows = getGridRows(tbody);
+  const { gridCell = null } = options;
+  const activeRow = (gridCell && rows.find((tr) => gridRows.get(tr) === gridCell.item)) || rows[0];
+  if (activeRow) {
+    const cellIndex = gridCell ? Math.min(gridCell.column, activeRow.cells.length - 1) : 0;
+    activeRow.cells[cellIndex].tabIndex = 0;
+    if (hadFocus) activeRow.cells[cellIndex].focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Renders rows as stacked cards, the layout used on narrow screens
+ * Each card shows the title column, a date line with the start and end dates,
+ * and the other displayed columns as label/value pairs.
+ * @param {HTMLElement} list - Card list element
+ * @param {Array} data - Data to render
+ * @param {Object} state - Pagination state
+ */
+function renderCardList(list, data, state) {
+  const {
+    columns,
+    allColumns,
+    dateSettings,
+    searchTerm,
+    rowActions,
+    updatedRows,
+    status,
+  } = state;
+  const { titleColumn, startDateColumn, endDateColumn } = state.eventColumns;
+  const now = new Date();
+  const dateColumns = [startDateColumn, endDateColumn].filter((column) => columns.includes(column));
+  const detailColumns = columns
+    .filter((column) => column !== titleColumn && !dateColumns.includes(column));
+
+  list.innerHTML = '';
+  data.forEach((row) => {
+    if (row[GROUP_HEADER]) {
+      const groupItem = document.createElement('li');
+      groupItem.classList.add('event-card-group');
+      groupItem.appendChild(createGroupToggle(row, state));
+      list.appendChild(groupItem);
+      return;
+    }
+
+    const card = document.createElement('li');
+    card.classList.add('event-card');
+    if (isRowToday(row, columns, allColumns, dateSettings)) {
+      card.classList.add('today-event');
+    }
+    if (updatedRows && updatedRows.has(row)) {
+      card.classList.add('updated-row');
+    }
+    const eventStatus = status ? getEventStatus(row, state, now) : null;
+    if (eventStatus) {
+      card.classList.add(`status-${eventStatus.status}`);
+      statusRows.set(card, row);
+    }
+
+    const title = document.createElement('p');
+    title.classList.add('event-card-title');
+    const titleText = getCellText(row, titleColumn, allColumns, dateSettings);
+    appendHighlightedText(title, titleText, searchTerm);
+    card.appendChild(title);
+
+    if (eventStatus && status.column) {
+      card.appendChild(createStatusBadge(eventStatus, state));
+    }
+
+    // Start and end dates on one line, once if they are the same
+    const dates = [...new Set(dateColumns
+      .map((column) => getCellText(row, column, allColumns, dateSettings))
+      .filter((text) => text))];
+    if (dates.length > 0) {
+      const dateLine = document.createElement('p');
+      dateLine.classList.add('event-card-date');
+      appendHighlightedText(dateLine, dates.join(' – '), searchTerm);
+      card.appendChild(dateLine);
+    }
+
+    const details = document.createElement('dl');
+    details.classList.add('event-card-details');
+    detailColumns.forEach((column) => {
+      const text = getCellText(row, column, allColumns, dateSettings);
+      if (!text) return;
+      const dt = document.createElement('dt');
+      dt.textContent = getColumnLabel(column, state.columnDefinitions);
+      const dd = document.createElement('dd');
+      renderCell(dd, row, column, text, state);
+      details.append(dt, dd);
+    });
+    if (details.children.length > 0) card.appendChild(details);
+
+    if (rowActions.length > 0) {
+      const actions = document.createElement('div');
+      actions.classList.add('event-card-actions');
+      actions.append(...createRowActionButtons(row, rowActions));
+      card.appendChild(actions);
+    }
+
+    list.appendChild(card);
+  });
+}
+
+// Rows rendered above and below the visible ones in the "All" rows mode, and the
+// row height assumed until a row has been measured
+const VIRTUAL_OVERSCAN = 10;
+const DEFAULT_ROW_HEIGHT = 41;
+
+/**
+ * Renders the rows of the "All" rows mode that are in or near the viewport
+ * Spacer rows above and below stand in for the rows that aren't rendered, so
+ * the page scrolls as if every row was there.
+ * @param {Object} state - Pagination state
+ * @param {Array} items - Rows and group headers of the whole view
+ * @param {boolean} force - Render even if the same rows are already shown
+ */
+function renderVirtualRows(state, items, force = true) {
+  const { tbody } = state;
+  const rowHeight = state.rowHeight || DEFAULT_ROW_HEIGHT;
+  const scrolled = Math.max(0, -tbody.getBoundingClientRect().top);
+  const first = Math.max(0, Math.floor(scrolled / rowHeight) - VIRTUAL_OVERSCAN);
+  const visibleRows = Math.ceil(window.innerHeight / rowHeight);
+  const last = Math.min(items.length, first + visibleRows + 2 * VIRTUAL_OVERSCAN);
+
+  const range = `${first}-${last}`;
+  if (!force && state.virtualItems === items && state.virtualRange === range) return;
+  state.virtualItems = items;
+  state.virtualRange = range;
+
+  renderTableBody(tbody, items.slice(first, last), state.columns, state.allColumns, state);
+
+  // Measure the real row height once rows are on the page
+  if (!state.rowHeight) {
+    const row = tbody.querySelector('tr');
+    if (row && row.offsetHeight > 0) state.rowHeight = row.offsetHeight;
+  }
+
+  const addSpacer = (rows, position) => {
+    if (rows === 0) return;
+    const tr = document.createElement('tr');
+    tr.classList.add('virtual-spacer');
+    tr.setAttribute('aria-hidden', 'true');
+    const td = document.createElement('td');
+    td.colSpan = state.columns.length + getExtraCellCount(state);
+    td.style.height = `${rows * rowHeight}px`;
+    tr.appendChild(td);
+    tbody[position](tr);
+  };
+  addSpacer(first, 'prepend');
+  addSpacer(items.length - last, 'append');
+}
+
+// Viewport width (px) below which rows are shown as cards, matching the CSS breakpoint
+const DEFAULT_CARD_BREAKPOINT = 768;
+
+// Row renderers draw a page of rows in one layout; the block picks one by width
+const ROW_RENDERERS = {
+  table: (state, rows) => (state.allRows
+    ? renderVirtualRows(state, rows)
+    : renderTableBody(state.tbody, rows, state.columns, state.allColumns, state)),
+  cards: (state, rows) => renderCardList(state.cardList, rows, state),
+};
+
+/**
+ * Gets the folded, searchable text of a row
+ * Cached per row since the displayed text only changes with the data.
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state
+ * @returns {string} The searchable text
+ */
+function getRowSearchText(row, state) {
+  if (!state.searchIndex.has(row)) {
+    const text = state.searchColumns
+      .map((column) => getCellText(row, column, state.allColumns, state.dateSettings))
+      .join('\n');
+    state.searchIndex.set(row, foldSearchText(text).folded);
+  }
+  return state.searchIndex.get(row);
+}
+
+/**
+ * Gets the calendar date key (YYYY-MM-DD) of a date cell, as the table shows it
+ * With a time and configured timezones the date is taken in the display timezone.
+ * @param {Object} row - Data row object
+ * @param {string} column - Date column name
+ * @param {Object} state - Pagination state
+ * @returns {string|null} The date key, or null if the cell is not a date
+ */
+function getRowDateKey(row, column, state) {
+  const value = row[column];
+  if (!value) return null;
+  if (isExcelSerialDate(value)) {
+    const timeColumn = getTimeColumnForDate(column, state.allColumns, state.dateSettings);
+    const zones = getRowZones(row, state.dateSettings);
+    if (zones && timeColumn && isTimeString(row[timeColumn])) {
+      const instant = createDateTimeFromExcel(value, row[timeColumn], zones.source);
+      return getDateKey(getZonedParts(instant, zones.display));
+    }
+    return getDateKey(getExcelDateParts(value));
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return getDateKey({ year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() });
+}
+
+/**
+ * Checks if a column filter narrows the data at all
+ * @param {Object} filter - Column filter
+ * @returns {boolean} True if the filter is active
+ */
+function isFilterActive(filter) {
+  switch (filter.type) {
+    case 'values':
+      return filter.values.size > 0;
+    case 'text':
+      return !!filter.term;
+    case 'number':
+      return filter.min !== null || filter.max !== null;
+    case 'date':
+      return !!(filter.from || filter.to);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parses a number typed into a filter
+ * @param {string} value - The input value
+ * @returns {number|null} The number, or null when empty or invalid
+ */
+function parseFilterNumber(value) {
+  const number = parseFloat(value);
+  return value === '' || Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Gets the values of an active filter as strings, e.g. to store them in the URL
+ * Ranges are written as "min..max" with either side optional.
+ * @param {Object} filter - Column filter
+ * @returns {Array} The filter values, empty when the filter is not active
+ */
+function getFilterValues(filter) {
+  if (!isFilterActive(filter)) return [];
+
+  switch (filter.type) {
+    case 'values':
+      return [...filter.values];
+    case 'text':
+      return [filter.text];
+    case 'number':
+      return [`${filter.min ?? ''}..${filter.max ?? ''}`];
+    case 'date':
+      return [`${filter.from}..${filter.to}`];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Applies values from getFilterValues to a column filter
+ * @param {Object} filter - Column filter, updated in place
+ * @param {Array} values - The filter values
+ */
+function applyFilterValues(filter, values) {
+  if (!values || values.length === 0) return;
+
+  const [first] = values;
+  const [from = '', to = ''] = first.split('..');
+
+  switch (filter.type) {
+    case 'values':
+      values
+        .filter((value) => filter.options.includes(value))
+        .forEach((value) => filter.values.add(value));
+      break;
+    case 'text':
+      filter.text = first;
+      filter.term = foldSearchText(first.trim()).folded;
+      break;
+    case 'number':
+      filter.min = parseFilterNumber(from);
+      filter.max = parseFilterNumber(to);
+      break;
+    case 'date': {
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      filter.from = datePattern.test(from) ? from : '';
+      filter.to = datePattern.test(to) ? to : '';
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+/**
+ * Checks if a row passes a column filter
+ * @param {Object} row - Data row object
+ * @param {string} column - Column name
+ * @param {Object} filter - Column filter
+ * @param {Object} state - Pagination state
+ * @returns {boolean} True if the row passes
+ */
+function matchesFilter(row, column, filter, state) {
+  switch (filter.type) {
+    case 'values':
+      return filter.values.has(getCellText(row, column, state.allColumns, state.dateSettings));
+    case 'text': {
+      const text = getCellText(row, column, state.allColumns, state.dateSettings);
+      return foldSearchText(text).folded.includes(filter.term);
+    }
+    case 'number': {
+      const value = parseFloat(row[column]);
+      if (Number.isNaN(value)) return false;
+      return (filter.min === null || value >= filter.min)
+        && (filter.max === null || value <= filter.max);
+    }
+    case 'date': {
+      const key = getRowDateKey(row, column, state);
+      if (!key) return false;
+      return (!filter.from || key >= filter.from) && (!filter.to || key <= filter.to);
+    }
+    default:
+      return true;
+  }
+}
+
+/**
+ * Gets the column filters that currently narrow the data
+ * @param {Object} state - Pagination state
+ * @returns {Array} [column, filter] pairs
+ */
+function getActiveFilters(state) {
+  return Object.entries(state.filters || {}).filter(([, filter]) => isFilterActive(filter));
+}
+
+/**
+ * Updates sort indicators and aria-sort on headers
+ * With several sort keys each sorted header also shows its priority.
+ * @param {NodeList} headers - All header elements
+ * @param {Array} sortKeys - [{ column, direction }] in priority order
+ */
+function updateSortIndicators(headers, sortKeys) {
+  headers.forEach((header) => {
+    const indicator = header.querySelector('.sort-indicator');
+    const priority = sortKeys.findIndex((key) => key.column === header.dataset.column);
+
+    if (priority !== -1) {
+      indicator.textContent = sortKeys[priority].direction === 'asc' ? ' ↑' : ' ↓';
+      indicator.style.opacity = '1';
+      if (sortKeys.length > 1) {
+        const badge = document.createElement('span');
+        badge.classList.add('sort-priority');
+        badge.textContent = priority + 1;
+        indicator.appendChild(badge);
+      }
+      header.classList.add('sorted');
+    } else {
+      indicator.textContent = ' ↕';
+      indicator.style.opacity = '0.5';
+      header.classList.remove('sorted');
+    }
+
+    // Only the primary sort column carries aria-sort
+    if (priority === 0) {
+      header.setAttribute('aria-sort', sortKeys[0].direction === 'asc' ? 'ascending' : 'descending');
+    } else {
+      header.removeAttribute('aria-sort');
+    }
+  });
+}
+
+// Views offered by the view toggle; month and week draw the data as a calendar
+const VIEW_MODES = {
+  table: 'Table',
+  month: 'Month',
+  week: 'Week',
+  timeline: 'Timeline',
+};
+
+/**
+ * Gets the group a row belongs to
+ * Grouping by month uses the month the event starts in.
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state
+ * @returns {Object} { key, label }, with an empty key for rows without a value
+ */
+function getRowGroup(row, state) {
+  const { column, byMonth } = state.groupBy;
+
+  if (byMonth) {
+    const { startDateColumn, startTimeColumn } = state.eventColumns;
+    const dayNumber = getEventDayNumber(row, startDateColumn, startTimeColumn, state.dateSettings);
+    if (dayNumber === null) return { key: '', label: '' };
+
+    const { year, month } = getExcelDateParts(dayNumber);
+    const locale = state.dateSettings.locale || DEFAULT_LOCALE;
+    return {
+      key: `${year}-${String(month).padStart(2, '0')}`,
+      label: getZonedFormatter('UTC', { month: 'long', year: 'numeric' }, locale)
+        .format(getDayDate(getDayNumber({ year, month, day: 1 }))),
+    };
+  }
+
+  const text = getCellText(row, column, state.allColumns, state.dateSettings);
+  return { key: text, label: text };
+}
+
+/**
+ * Splits sorted rows into groups, keeping the order of the rows within each group
+ * Groups are ordered by their value like the grouping column sorts (descending
+ * when the table is sorted by it that way), rows without a value last.
+ * @param {Array} data - Sorted data rows
+ * @param {Object} state - Pagination state
+ * @returns {Array} Group headers [{ key, label, rows }]
+ */
+function groupRows(data, state) {
+  const groups = new Map();
+  data.forEach((row) => {
+    const { key, label } = getRowGroup(row, state);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        [GROUP_HEADER]: true, key, label, rows: [],
+      });
+    }
+    groups.get(key).rows.push(row);
+  });
+
+  const [primaryKey] = state.sortKeys;
+  const direction = primaryKey && primaryKey.column === state.groupBy.column
+    ? primaryKey.direction
+    : 'asc';
+  const compareRows = createColumnComparator(data, state.groupBy.column, direction, state);
+
+  return [...groups.values()].sort((a, b) => {
+    if (!a.key || !b.key) return Number(!a.key) - Number(!b.key);
+    if (state.groupBy.byMonth) {
+      const comparison = a.key.localeCompare(b.key);
+      return direction === 'desc' ? -comparison : comparison;
+    }
+    return compareRows(a.rows[0], b.rows[0]);
+  });
+}
+
+/**
+ * Recomputes the rows to show from the original data
+ * Applies the search term and column filters, then the current sort.
+ * @param {Object} state - Pagination state
+ */
+function updateCurrentData(state) {
+  let { data } = state;
+
+  if (state.searchTerm) {
+    data = data.filter((row) => getRowSearchText(row, state).includes(state.searchTerm));
+  }
+
+  const activeFilters = getActiveFilters(state);
+  if (activeFilters.length > 0) {
+    data = data.filter((row) => activeFilters
+      .every(([column, filter]) => matchesFilter(row, column, filter, state)));
+  }
+
+  if (state.summaryFilter) {
+    data = data.filter(state.summaryFilter.test);
+  }
+
+  if (state.sortKeys.length > 0) {
+    data = sortData(data, state.sortKeys, state);
+  }
+
+  // Grouped tables keep the rows of each group together, in the sorted order
+  state.groups = state.groupBy ? groupRows(data, state) : null;
+  state.currentData = state.groups ? state.groups.flatMap((group) => group.rows) : data;
+}
+
+/**
+ * Gets the items of the current page, or of every page in the "All" rows mode
+ * A page starting in the middle of a group repeats its header first.
+ * @param {Object} state - Pagination state
+ * @returns {Array} Rows and group headers
+ */
+function getPageItems(state) {
+  const items = getDisplayItems(state);
+  if (state.allRows) return items;
+
+  const pageItems = getPaginatedData(items, state.currentPage, state.itemsPerPage);
+
+  if (state.groups && pageItems.length > 0 && !pageItems[0][GROUP_HEADER]) {
+    const startIndex = (state.currentPage - 1) * state.itemsPerPage;
+    const group = items.slice(0, startIndex).reverse().find((item) => item[GROUP_HEADER]);
+    if (group) pageItems.unshift({ ...group, continued: true });
+  }
+
+  return pageItems;
+}
+
+/**
+ * Gets the rows shown on the current page, not counting group headers
+ * @param {Object} state - Pagination state
+ * @returns {Object} { first, last, total } with 1-based row numbers
+ */
+function getPageRange(state) {
+  const items = getDisplayItems(state);
+  const start = state.allRows ? 0 : (state.currentPage - 1) * state.itemsPerPage;
+  const end = state.allRows ? items.length : Math.min(items.length, start + state.itemsPerPage);
+  const isRow = (item) => !item[GROUP_HEADER];
+  const first = items.slice(0, start).filter(isRow).length + 1;
+  const count = items.slice(start, end).filter(isRow).length;
+  return { first, last: first + count - 1, total: state.currentData.length };
+}
+
+/**
+ * Describes the current page for screen readers
+ * @param {Object} state - Pagination state
+ * @returns {string} e.g. "Page 2 of 7, showing 11–20 of 64 events"
+ */
+function describePage(state) {
+  const { first, last, total } = getPageRange(state);
+  if (total === 0) return 'No events';
+  if (state.allRows) return `Showing all ${total} events`;
+  return `Page ${state.currentPage} of ${getTotalPages(state)}, showing ${first}–${last} of ${total} events`;
+}
+
+/**
+ * Summarizes the rows on the current page
+ * @param {Object} state - Pagination state
+ * @returns {string} e.g. "Showing 21–30 of 287"
+ */
+function describePageRange(state) {
+  const { first, last, total } = getPageRange(state);
+  if (total === 0) return 'No events to show';
+  if (state.allRows || (first === 1 && last === total)) return `Showing all ${total}`;
+  return `Showing ${first}–${last} of ${total}`;
+}
+
+/**
+ * Describes the sort order for screen readers
+ * @param {Array} sortKeys - [{ column, direction }] in priority order
+ * @param {Map} columnDefinitions - Column definitions by column, for the labels (optional)
+ * @returns {string} e.g. "Sorted by Name ascending, then Region descending"
+ */
+function describeSort(sortKeys, columnDefinitions = null) {
+  if (sortKeys.length === 0) return 'Not sorted';
+  const keys = sortKeys.map(({ column, direction }) => (
+    `${getColumnLabel(column, columnDefinitions)} ${direction === 'asc' ? 'ascending' : 'descending'}`
+  ));
+  return `Sorted by ${keys.join(', then ')}`;
+}
+
+/**
+ * Announces a message through the block's live region
+ * @param {Object} state - Pagination state
+ * @param {string} message - The message
+ */
+function announce(state, message) {
+  if (state.liveRegion) state.liveRegion.textContent = message;
+}
+
+// Page sizes offered in the "Items per page" selector, "all" showing every row
+const PAGE_SIZE_OPTIONS = [10, 25, 50, 100, 'all'];
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Parses a page size: a positive number of rows, or "all"
+ * @param {string|number} value - The page size
+ * @returns {number|string|null} The page size, or null if invalid
+ */
+function parsePageSize(value) {
+  if (String(value).trim().toLowerCase() === 'all') return 'all';
+  const size = parseInt(value, 10);
+  return size > 0 ? size : null;
+}
+
+/**
+ * Orders page sizes ascending with "all" last
+ * @param {number|string} a - First page size
+ * @param {number|string} b - Second page size
+ * @returns {number} Sort order
+ */
+function comparePageSizes(a, b) {
+  if (a === 'all' || b === 'all') return (a === 'all') - (b === 'all');
+  return a - b;
+}
+
+/**
+ * Reads the table state of one block from the query string
+ * Every block uses its own key as a prefix, e.g. "et.sort" or "et2.page".
+ * @param {string} key - The block's URL key
+ * @returns {Object} { sort, page, pageSize, search, sheet, view, summary, filters }, where sort
+ *   holds "Column:direction" entries
+ */
+function readUrlState(key) {
+  const params = new URLSearchParams(window.location.search);
+  const prefix = `${key}.`;
+  const filters = {};
+
+  params.forEach((value, name) => {
+    if (name.startsWith(`${prefix}f.`)) {
+      const column = name.slice(`${prefix}f.`.length);
+      filters[column] = [...(filters[column] || []), value];
+    }
+  });
+
+  return {
+    sort: params.getAll(`${prefix}sort`),
+    page: parseInt(params.get(`${prefix}page`), 10) || 1,
+    pageSize: params.get(`${prefix}size`) === 'all'
+      ? 'all'
+      : parseInt(params.get(`${prefix}size`), 10) || null,
+    search: params.get(`${prefix}q`) || '',
+    sheet: params.get(`${prefix}sheet`),
+    view: params.get(`${prefix}view`),
+    summary: params.get(`${prefix}summary`),
+    filters,
+  };
+}
+
+/**
+ * Writes the table state of one block to the query string
+ * Default values are left out so untouched tables keep a clean URL. The URL is
+ * only replaced when the state changed, and never in kiosk mode, where pages
+ * turn on their own and nobody shares the URL.
+ * @param {Object} state - Pagination state
+ */
+function writeUrlState(state) {
+  if (!state.urlState || state.kiosk) return;
+
+  const { key, sheet } = state.urlState;
+  const prefix = `${key}.`;
+  const params = [];
+
+  if (sheet) params.push([`${prefix}sheet`, sheet]);
+  const sortEntries = state.sortKeys.map(({ column, direction }) => `${column}:${direction}`);
+  const defaultEntries = state.defaultSort.map(({ column, direction }) => `${column}:${direction}`);
+  if (sortEntries.join(',') !== defaultEntries.join(',')) {
+    sortEntries.forEach((entry) => params.push([`${prefix}sort`, entry]));
+  }
+  if (state.currentPage > 1) params.push([`${prefix}page`, state.currentPage]);
+  const pageSize = state.allRows ? 'all' : state.itemsPerPage;
+  if (pageSize !== state.defaultPageSize) params.push([`${prefix}size`, pageSize]);
+  if (state.searchText) params.push([`${prefix}q`, state.searchText]);
+  if (state.view !== state.defaultView) params.push([`${prefix}view`, state.view]);
+  if (state.summaryFilter) params.push([`${prefix}summary`, state.summaryFilter.id]);
+  Object.entries(state.filters).forEach(([column, filter]) => {
+    getFilterValues(filter).forEach((value) => params.push([`${prefix}f.${column}`, value]));
+  });
+
+  const written = JSON.stringify(params);
+  if (written === state.urlState.written) return;
+  state.urlState.written = written;
+
+  const url = new URL(window.location.href);
+  [...new Set(url.searchParams.keys())]
+    .filter((name) => name.startsWith(prefix))
+    .forEach((name) => url.searchParams.delete(name));
+  params.forEach(([name, value]) => url.searchParams.append(name, value));
+
+  if (url.href !== window.location.href) {
+    window.history.replaceState(window.history.state, '', url);
+  }
+}
+
+// Kiosk mode: default page interval and shortest accepted one (ms)
+const DEFAULT_KIOSK_INTERVAL = 15000;
+const MIN_KIOSK_INTERVAL = 3000;
+
+/**
+ * Checks if the search, summary tiles or column filters narrow the data
+ * @param {Object} state - Pagination state
+ * @returns {boolean} True if some rows are filtered out
+ */
+function isDataFiltered(state) {
+  return !!(state.searchTerm || state.summaryFilter || getActiveFilters(state).length > 0);
+}
+
+/**
+ * Shows why no rows are shown, in place of the rows
+ * @param {Object} state - Pagination state
+ */
+function renderEmptyState(state) {
+  const message = isDataFiltered(state)
+    ? 'No events match the current search and filters.'
+    : 'No events to show.';
+
+  if (state.layout === 'cards') {
+    const item = document.createElement('li');
+    item.classList.add('event-card-empty');
+    item.textContent = message;
+    state.cardList.appendChild(item);
+    return;
+  }
+
+  const tr = document.createElement('tr');
+  tr.classList.add('empty-state');
+  const td = document.createElement('td');
+  td.colSpan = state.columns.length + getExtraCellCount(state);
+  td.textContent = message;
+  tr.appendChild(td);
+  state.tbody.appendChild(tr);
+}
+
+// Page buttons shown on each side of the current page, besides the first and last page
+const PAGE_BUTTON_WINDOW = 2;
+
+/**
+ * Gets the page numbers to show as buttons, with null for the gaps between them
+ * A gap of a single page shows that page instead.
+ * @param {number} currentPage - Current page number
+ * @param {number} totalPages - Number of pages
+ * @returns {Array} Page numbers, e.g. [1, null, 4, 5, 6, 7, 8, null, 30]
+ */
+function getPageWindow(currentPage, totalPages) {
+  const first = Math.max(1, currentPage - PAGE_BUTTON_WINDOW);
+  const last = Math.min(totalPages, currentPage + PAGE_BUTTON_WINDOW);
+  const pages = [];
+
+  if (first > 1) pages.push(1);
+  if (first > 3) pages.push(null);
+  if (first === 3) pages.push(2);
+  for (let page = first; page <= last; page += 1) {
+    pages.push(page);
+  }
+  if (last === totalPages - 2) pages.push(totalPages - 1);
+  if (last < totalPages - 2) pages.push(null);
+  if (last < totalPages) pages.push(totalPages);
+
+  return pages;
+}
+
+/**
+ * Updates pagination controls: the rows shown, first / previous / numbered /
+ * next / last page buttons, and a jump-to-page input when pages are skipped
+ * @param {HTMLElement} container - Container element
+ * @param {Object} state - Pagination state
+ * @param {Function} showPage - Renders the page number it is called with
+ */
+function updatePaginationControls(container, state, showPage) {
+  const pageNav = container.querySelector('.page-navigation');
+  if (!pageNav) return;
+
+  // The controls are rebuilt, so remember which one had focus
+  const focused = pageNav.contains(document.activeElement)
+    ? document.activeElement.dataset.control
+    : null;
+  pageNav.innerHTML = '';
+
+  const totalPages = getTotalPages(state);
+  const goToPage = (page) => {
+    const target = Math.max(1, Math.min(page, totalPages));
+    if (target === state.currentPage) return;
+    showPage(target);
+    announce(state, describePage(state));
+  };
+
+  // Rows shown, e.g. "Showing 21–30 of 287"
+  const pageInfo = document.createElement('span');
+  pageInfo.classList.add('page-info');
+  pageInfo.textContent = describePageRange(state);
+  pageNav.appendChild(pageInfo);
+
+  if (totalPages > 1) {
+    const addPageButton = (label, className, page, ariaLabel = null) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.classList.add('pagination-button', className);
+      button.dataset.control = className === 'page-number' ? `page-${page}` : className;
+      if (ariaLabel) button.setAttribute('aria-label', ariaLabel);
+      button.addEventListener('click', () => goToPage(page));
+      pageNav.appendChild(button);
+      return button;
+    };
+
+    const isFirst = state.currentPage === 1;
+    const isLast = state.currentPage >= totalPages;
+    addPageButton('«', 'first-button', 1, 'First page').disabled = isFirst;
+    addPageButton('← Previous', 'prev-button', state.currentPage - 1).disabled = isFirst;
+
+    const pages = getPageWindow(state.currentPage, totalPages);
+    pages.forEach((page) => {
+      if (page === null) {
+        const ellipsis = document.createElement('span');
+        ellipsis.classList.add('page-ellipsis');
+        ellipsis.setAttribute('aria-hidden', 'true');
+        ellipsis.textContent = '…';
+        pageNav.appendChild(ellipsis);
+        return;
+      }
+      const button = addPageButton(String(page), 'page-number', page, `Page ${page}`);
+      if (page === state.currentPage) button.setAttribute('aria-current', 'page');
+    });
+
+    addPageButton('Next →', 'next-button', state.currentPage + 1).disabled = isLast;
+    addPageButton('»', 'last-button', totalPages, 'Last page').disabled = isLast;
+
+    // Jump straight to a page when some are left out
+    if (pages.includes(null)) {
+      const jumpLabel = document.createElement('label');
+      jumpLabel.classList.add('page-jump');
+      jumpLabel.append('Go to page ');
+      const jumpInput = document.createElement('input');
+      jumpInput.type = 'number';
+      jumpInput.min = 1;
+      jumpInput.max = totalPages;
+      jumpInput.inputMode = 'numeric';
+      jumpInput.classList.add('page-jump-input');
+      jumpInput.dataset.control = 'jump';
+      const jump = () => {
+        const page = parseInt(jumpInput.value, 10);
+        if (!Number.isNaN(page)) goToPage(page);
+      };
+      jumpInput.addEventListener('change', jump);
+      jumpInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') jump();
+      });
+      jumpLabel.appendChild(jumpInput);
+      pageNav.appendChild(jumpLabel);
+    }
+  }
+
+  // Disabled buttons can't hold focus, the current page button takes it instead
+  if (focused) {
+    const control = pageNav.querySelector(`[data-control="${focused}"]:not(:disabled)`)
+      || pageNav.querySelector('[aria-current="page"]');
+    if (control) control.focus();
+  }
+
+  // Kiosks restart their page timer once ./kiosk.js has started them
+  if (state.kiosk && state.kiosk.onPageRendered) state.kiosk.onPageRendered();
+}
+
+/**
+ * Renders the current page of the current data
+ * @param {Object} state - Pagination state
+ */
+function renderCurrentPage(state) {
+  if (state.container) state.container.classList.toggle('all-rows', state.allRows);
+  ROW_RENDERERS[state.layout](state, getPageItems(state));
+  if (state.currentData.length === 0) renderEmptyState(state);
+
+  if (state.container) {
+    updatePaginationControls(state.container, state, (page) => {
+      state.currentPage = page;
+      renderCurrentPage(state);
+    });
+  }
+
+  if (state.calendarView) {
+    state.container.classList.toggle('calendar-mode', state.view !== 'table');
+    state.calendarView.innerHTML = '';
+    if (state.view !== 'table') {
+      // The views load on first use, and are skipped if another one was picked meanwhile
+      const { view } = state;
+      import('./calendar.js').then(({ default: renderView }) => {
+        if (state.view === view) renderView(state);
+      });
+    }
+  }
+
+  if (state.cardSort) {
+    const [primaryKey] = state.sortKeys;
+    state.cardSort.value = primaryKey ? `${primaryKey.column}:${primaryKey.direction}` : '';
+  }
+
+  writeUrlState(state);
+
+  if (state.searchCount) {
+    const total = state.data.length;
+    state.searchCount.textContent = isDataFiltered(state)
+      ? `${state.currentData.length} of ${total} events`
+      : `${total} events`;
+  }
+}
+
+/**
+ * Adds click handlers for sorting
+ * @param {HTMLElement} thead - Table head element
+ * @param {Array} columns - Column names
+ * @param {Object} paginationState - Pagination state object
+ */
+function addSortHandlers(thead, columns, paginationState) {
+  const headers = thead.querySelectorAll('.sortable-header');
 
   headers.forEach((header, index) => {
-    header.addEventListener('click', () => {
+    header.addEventListener('click', (event) => {
       const column = columns[index];
+      const { sortKeys } = paginationState;
+      const existingKey = sortKeys.find((key) => key.column === column);
+      const toggle = (direction) => (direction === 'asc' ? 'desc' : 'asc');
 
-      // Determine sort direction
-      if (paginationState.sortColumn === column) {
-        paginationState.sortDirection = paginationState.sortDirection === 'asc' ? 'desc' : 'asc';
+      if (event.shiftKey) {
+        // Shift-click adds a sort key, or flips the direction of an existing one
+        if (existingKey) {
+          existingKey.direction = toggle(existingKey.direction);
+        } else {
+          sortKeys.push({ column, direction: 'asc' });
+        }
       } else {
-        paginationState.sortDirection = 'asc';
+        // A plain click sorts by this column only, flipping it if it was the primary key
+        const direction = sortKeys.length > 0 && sortKeys[0].column === column
+          ? toggle(sortKeys[0].direction)
+          : 'asc';
+        paginationState.sortKeys = [{ column, direction }];
       }
-      paginationState.sortColumn = column;
 
       // Update sort indicators
-      updateSortIndicators(headers, column, paginationState.sortDirection);
+      updateSortIndicators(headers, paginationState.sortKeys);
+
+      // Sort the original data (narrowed by the search term)
+      updateCurrentData(paginationState);
+      paginationState.currentPage = 1; // Reset to first page after sorting
+
+      // Render paginated sorted data and update pagination controls
+      renderCurrentPage(paginationState);
+      const { columnDefinitions } = paginationState;
+      announce(paginationState, describeSort(paginationState.sortKeys, columnDefinitions));
+    });
+  });
+}
+
+// Keyboard shortcuts listed by the help overlay
+const KEYBOARD_SHORTCUTS = [
+  ['↑ ↓ ← →', 'Move between cells'],
+  ['Home / End', 'First / last cell of the row'],
+  ['Ctrl + Home / End', 'First / last cell of the page'],
+  ['Page Up / Page Down', 'Previous / next page'],
+  ['Enter', 'Press the button in the cell, or open the event'],
+  ['/', 'Search'],
+  ['[ / ]', 'Previous / next page'],
+  ['?', 'Show these shortcuts'],
+  ['Esc', 'Close'],
+];
+
+/**
+ * Turns the page of the table with the pagination buttons
+ * @param {Object} state - Pagination state
+ * @param {number} step - -1 for the previous page, 1 for the next one
+ */
+function turnPage(state, step) {
+  const button = state.container.querySelector(step < 0
+    ? '.page-navigation .prev-button'
+    : '.page-navigation .next-button');
+  if (button && !button.disabled) button.click();
+}
+
+/**
+ * Opens the row link of a row, if it holds a web address
+ * @param {Object} row - Data row object
+ * @param {string} column - Column with the link
+ */
+function openRowLink(row, column) {
+  const url = getSafeUrl(row[column]);
+  if (url) window.location.assign(url.href);
+}
+
+/**
+ * Handles grid navigation keys within the table body
+ * @param {KeyboardEvent} event - The keydown event
+ * @param {Object} state - Pagination state
+ */
+function handleGridKeyDown(event, state) {
+  const cell = event.target.closest('td');
+  if (!cell || event.altKey || event.metaKey) return;
+
+  const rows = getGridRows(state.tbody);
+  const rowIndex = rows.indexOf(cell.parentElement);
+  const { cellIndex } = cell;
+  const lastCell = cell.parentElement.cells.length - 1;
+  const moves = {
+    ArrowUp: [rowIndex - 1, cellIndex],
+    ArrowDown: [rowIndex + 1, cellIndex],
+    ArrowLeft: [rowIndex, cellIndex - 1],
+    ArrowRight: [rowIndex, cellIndex + 1],
+    Home: event.ctrlKey ? [0, 0] : [rowIndex, 0],
+    End: event.ctrlKey ? [rows.length - 1, Infinity] : [rowIndex, lastCell],
+  };
+
+  if (moves[event.key]) {
+    event.preventDefault();
+    focusGridCell(state.tbody, ...moves[event.key]);
+  } else if (event.key === 'PageUp' || event.key === 'PageDown') {
+    event.preventDefault();
+    turnPage(state, event.key === 'PageUp' ? -1 : 1);
+  } else if (event.key === 'Enter' && event.target === cell) {
+    // Buttons and links in the cell handle Enter themselves once focused
+    event.preventDefault();
+    const control = cell.querySelector('button, a[href]');
+    const row = gridRows.get(cell.parentElement);
+    if (control) {
+      control.click();
+    } else if (state.onRowActivate && row && !row[GROUP_HEADER]) {
+      state.onRowActivate(row);
+    }
+  }
+}
+
+/**
+ * Opens or closes the keyboard shortcut overlay, returning focus where it was
+ * @param {HTMLElement} overlay - The overlay from createShortcutHelp
+ * @param {boolean} open - True to open it
+ */
+function toggleShortcutHelp(overlay, open) {
+  if (open === !overlay.hidden) return;
+  overlay.hidden = !open;
+  if (open) {
+    overlay.returnFocus = document.activeElement;
+    overlay.querySelector('.shortcuts-close').focus();
+  } else if (overlay.returnFocus && overlay.returnFocus.isConnected) {
+    overlay.returnFocus.focus();
+  }
+}
+
+/**
+ * Creates the overlay listing the keyboard shortcuts
+ * @returns {HTMLElement} The overlay, hidden until opened with toggleShortcutHelp
+ */
+function createShortcutHelp() {
+  const overlay = document.createElement('div');
+  overlay.classList.add('event-tracker-shortcuts');
+  overlay.setAttribute('role', 'dialog');
+  overlay.setAttribute('aria-modal', 'true');
+  overlay.setAttribute('aria-label', 'Keyboard shortcuts');
+  overlay.hidden = true;
+
+  const panel = document.createElement('div');
+  panel.classList.add('shortcuts-panel');
+
+  const title = document.createElement('p');
+  title.classList.add('shortcuts-title');
+  title.textContent = 'Keyboard shortcuts';
+  panel.appendChild(title);
+
+  const list = document.createElement('dl');
+  list.classList.add('shortcuts-list');
+  KEYBOARD_SHORTCUTS.forEach(([keys, action]) => {
+    const dt = document.createElement('dt');
+    const kbd = document.createElement('kbd');
+    kbd.textContent = keys;
+    dt.appendChild(kbd);
+    const dd = document.createElement('dd');
+    dd.textContent = action;
+    list.append(dt, dd);
+  });
+  panel.appendChild(list);
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.classList.add('pagination-button', 'shortcuts-close');
+  closeButton.textContent = 'Close';
+  panel.appendChild(closeButton);
+
+  overlay.appendChild(panel);
+
+  closeButton.addEventListener('click', () => toggleShortcutHelp(overlay, false));
+  overlay.addEventListener('click', (event) => {
+    if (event.target === overlay) toggleShortcutHelp(overlay, false);
+  });
+
+  // Keep Tab and Shift+Tab inside the panel while it is open
+  overlay.addEventListener('keydown', (event) => {
+    if (event.key !== 'Tab') return;
+    const focusable = [...panel.querySelectorAll('button, a[href], [tabindex="0"]')];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey ? document.activeElement === first : document.activeElement === last) {
+      event.preventDefault();
+      (event.shiftKey ? last : first).focus();
+    } else if (!panel.contains(document.activeElement)) {
+      event.preventDefault();
+      first.focus();
+    }
+  });
+
+  return overlay;
+}
+
+/**
+ * Adds keyboard navigation to the table body and the block's shortcuts
+ * Shortcuts work while the focus is in the block, or anywhere on the page for
+ * the first block when nothing else has focus.
+ * @param {Object} state - Pagination state
+ * @param {HTMLElement} help - The overlay from createShortcutHelp
+ */
+function addKeyboardShortcuts(state, help) {
+  const { container, tbody } = state;
+
+  // Only the last focused cell is in the tab order (roving tabindex)
+  tbody.addEventListener('focusin', (event) => {
+    const cell = event.target.closest('td');
+    if (!cell) return;
+    state.gridCell = { item: gridRows.get(cell.parentElement), column: cell.cellIndex };
+    tbody.querySelectorAll('td[tabindex="0"]').forEach((td) => { td.tabIndex = -1; });
+    cell.tabIndex = 0;
+  });
+  tbody.addEventListener('keydown', (event) => handleGridKeyDown(event, state));
+
+  const onKeyDown = (event) => {
+    // Stop listening once the table has been replaced, e.g. by another sheet
+    if (!tbody.isConnected) {
+      document.removeEventListener('keydown', onKeyDown);
+      return;
+    }
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    const { target } = event;
+    const idle = target === document.body || target === document.documentElement;
+    const isFirstBlock = document.querySelector('.event-tracker-content') === container;
+    if (!container.contains(target) && !(idle && isFirstBlock)) return;
+
+    if (event.key === 'Escape' && !help.hidden) {
+      toggleShortcutHelp(help, false);
+      return;
+    }
+    if (target.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+    const searchInput = container.querySelector('.event-tracker-search-input');
+    const shortcuts = {
+      '/': () => searchInput && searchInput.focus(),
+      '[': () => state.view === 'table' && turnPage(state, -1),
+      ']': () => state.view === 'table' && turnPage(state, 1),
+      '?': () => toggleShortcutHelp(help, help.hidden),
+    };
+    if (!shortcuts[event.key]) return;
+    event.preventDefault();
+    shortcuts[event.key]();
+  };
+  document.addEventListener('keydown', onKeyDown);
+}
+
+// Delay between the last keystroke and filtering the table
+const SEARCH_DEBOUNCE_MS = 250;
+
+/**
+ * Creates the search box above the table
+ * @param {HTMLElement} container - Container element
+ * @param {Object} state - Pagination state
+ */
+function createSearchControls(container, state) {
+  const searchDiv = document.createElement('div');
+  searchDiv.classList.add('event-tracker-search');
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.classList.add('event-tracker-search-input');
+  input.placeholder = 'Search events…';
+  input.setAttribute('aria-label', 'Search events');
+  input.value = state.searchText;
+  searchDiv.appendChild(input);
+
+  const count = document.createElement('span');
+  count.classList.add('event-tracker-search-count');
+  count.setAttribute('aria-live', 'polite');
+  searchDiv.appendChild(count);
+
+  let debounceTimer;
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      const searchTerm = foldSearchText(input.value.trim()).folded;
+      if (searchTerm === state.searchTerm) return;
+      state.searchText = input.value.trim();
+      state.searchTerm = searchTerm;
+      state.currentPage = 1; // Reset to first page
+      updateCurrentData(state);
+      renderCurrentPage(state);
+    }, SEARCH_DEBOUNCE_MS);
+  });
+
+  container.appendChild(searchDiv);
+  state.searchCount = count;
+
+  return searchDiv;
+}
+
+/**
+ * Creates the buttons switching between the table and calendar views
+ * @param {Object} state - Pagination state
+ * @returns {HTMLElement} The view toggle
+ */
+function createViewToggle(state) {
+  const toggle = document.createElement('div');
+  toggle.classList.add('event-tracker-view-toggle');
+  toggle.setAttribute('role', 'group');
+  toggle.setAttribute('aria-label', 'View');
+
+  Object.entries(VIEW_MODES).forEach(([mode, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.dataset.view = mode;
+    button.classList.add('view-toggle-button');
+    button.setAttribute('aria-pressed', mode === state.view);
+    button.addEventListener('click', () => {
+      if (mode === state.view) return;
+      state.view = mode;
+      toggle.querySelectorAll('.view-toggle-button').forEach((other) => {
+        other.setAttribute('aria-pressed', other.dataset.view === mode);
+      });
+      renderCurrentPage(state);
+    });
+    toggle.appendChild(button);
+  });
+
+  return toggle;
+}
+
+/**
+ * Creates the sort selector of the card layout, which has no column headers
+ * @param {HTMLElement} thead - Table head element, whose sort indicators are kept in sync
+ * @param {Object} state - Pagination state
+ * @returns {HTMLElement} The sort control
+ */
+function createCardSortControl(thead, state) {
+  const sortDiv = document.createElement('label');
+  sortDiv.classList.add('event-tracker-card-sort');
+  sortDiv.append('Sort by ');
+
+  const select = document.createElement('select');
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  };
+  addOption('', '—');
+  state.columns.forEach((column) => {
+    const label = getColumnLabel(column, state.columnDefinitions);
+    addOption(`${column}:asc`, `${label} ↑`);
+    addOption(`${column}:desc`, `${label} ↓`);
+  });
+  select.addEventListener('change', () => {
+    state.sortKeys = parseSortKeys([select.value].filter((value) => value), state.allColumns);
+    updateSortIndicators(thead.querySelectorAll('.sortable-header'), state.sortKeys);
+    updateCurrentData(state);
+    state.currentPage = 1;
+    renderCurrentPage(state);
+    announce(state, describeSort(state.sortKeys, state.columnDefinitions));
+  });
+  sortDiv.appendChild(select);
+  state.cardSort = select;
+
+  return sortDiv;
+}
+
+// Values of a column shown as summary tiles, the most frequent first
+const MAX_SUMMARY_VALUES = 8;
+
+/**
+ * Gets the summary tiles defined by the "Summary" config entries
+ * "upcoming", "today" and "next 7 days" count events by date; any other entry
+ * names a column and adds a tile per value. Each tile filters the table to
+ * the rows it counts.
+ * @param {Array} entries - Config entries, e.g. ["Today", "Region"]
+ * @param {Object} state - Pagination state
+ * @returns {Array} Tiles [{ id, label, caption, test(row) }]
+ */
+function getSummaryTiles(entries, state) {
+  const { allColumns, dateSettings, eventColumns } = state;
+  const hasEventDates = allColumns.includes(eventColumns.startDateColumn);
+  const today = getTodayNumber(dateSettings);
+  const getStartDay = (row) => getEventDayNumber(
+    row,
+    eventColumns.startDateColumn,
+    eventColumns.startTimeColumn,
+    dateSettings,
+  );
+
+  return entries.flatMap((entry) => {
+    const name = entry.toLowerCase();
+
+    // Events that haven't started yet, so the tile still narrows the table when
+    // past events are hidden
+    if (name === 'upcoming' && hasEventDates) {
+      return [{
+        id: 'upcoming',
+        label: 'Upcoming',
+        test: (row) => {
+          const range = getEventRange(row, state);
+          return !!range && new Date() < range.start;
+        },
+      }];
+    }
+    // The start date is read from the row, so the tile also counts with the
+    // start date column hidden
+    if (name === 'today' && hasEventDates) {
+      return [{
+        id: 'today',
+        label: 'Today',
+        test: (row) => getStartDay(row) === today,
+      }];
+    }
+    if (name === 'next 7 days' && hasEventDates) {
+      return [{
+        id: 'next-7-days',
+        label: 'Next 7 days',
+        test: (row) => {
+          const day = getStartDay(row);
+          return day !== null && day >= today && day < today + 7;
+        },
+      }];
+    }
+    if (!allColumns.includes(entry)) return [];
+
+    // One tile per value of the column
+    const counts = new Map();
+    state.data.forEach((row) => {
+      const value = getCellText(row, entry, allColumns, dateSettings);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SUMMARY_VALUES)
+      .map(([value]) => ({
+        id: `${entry}=${value}`,
+        label: value,
+        caption: entry,
+        test: (row) => getCellText(row, entry, allColumns, dateSettings) === value,
+      }));
+  });
+}
+
+/**
+ * Creates the summary bar with a tile per count
+ * Clicking a tile filters the table to its rows, clicking it again clears it.
+ * @param {Array} tiles - Tiles from getSummaryTiles
+ * @param {Object} state - Pagination state
+ * @returns {HTMLElement} The summary bar
+ */
+function createSummaryBar(tiles, state) {
+  const summaryDiv = document.createElement('div');
+  summaryDiv.classList.add('event-tracker-summary');
+
+  const buttons = tiles.map((tile) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('summary-tile');
+    button.setAttribute('aria-pressed', state.summaryFilter === tile);
+
+    const count = document.createElement('span');
+    count.classList.add('summary-count');
+    count.textContent = state.data.filter(tile.test).length;
+    button.appendChild(count);
+
+    const label = document.createElement('span');
+    label.classList.add('summary-label');
+    label.textContent = tile.label;
+    button.appendChild(label);
+
+    if (tile.caption) {
+      const caption = document.createElement('span');
+      caption.classList.add('summary-caption');
+      caption.textContent = tile.caption;
+      button.appendChild(caption);
+    }
+
+    button.addEventListener('click', () => {
+      state.summaryFilter = state.summaryFilter === tile ? null : tile;
+      buttons.forEach((other, index) => {
+        other.setAttribute('aria-pressed', state.summaryFilter === tiles[index]);
+      });
+      state.currentPage = 1;
+      updateCurrentData(state);
+      renderCurrentPage(state);
+    });
+
+    summaryDiv.appendChild(button);
+    return button;
+  });
+
+  return summaryDiv;
+}
+
+// Text columns with more distinct values get a "contains" filter instead of a dropdown
+const MAX_FILTER_OPTIONS = 50;
+
+/**
+ * Creates an empty filter for a column based on its data
+ * @param {Object} state - Pagination state
+ * @param {string} column - Column name
+ * @returns {Object} The column filter, with its options for dropdowns
+ */
+function createColumnFilter(state, column) {
+  const dataType = state.columnTypes.get(column) || getColumnDataType(state.data, column);
+  if (dataType === 'date') return { type: 'date', from: '', to: '' };
+  if (dataType === 'number') return { type: 'number', min: null, max: null };
+
+  const options = [...new Set(state.data
+    .map((row) => getCellText(row, column, state.allColumns, state.dateSettings))
+    .filter((text) => text))]
+    .sort((a, b) => a.localeCompare(b));
+
+  if (options.length > MAX_FILTER_OPTIONS) return { type: 'text', text: '', term: '' };
+  return { type: 'values', values: new Set(), options };
+}
+
+/**
+ * Creates a labelled input for a filter
+ * @param {string} type - Input type
+ * @param {string} label - Accessible label, also used as placeholder
+ * @param {*} value - Initial value
+ * @param {Function} onChange - Called with the input value
+ * @returns {HTMLInputElement} The input element
+ */
+function createFilterInput(type, label, value, onChange) {
+  const input = document.createElement('input');
+  input.type = type;
+  input.value = value ?? '';
+  input.classList.add('filter-input');
+  input.placeholder = label;
+  input.setAttribute('aria-label', label);
+  input.addEventListener(type === 'date' ? 'change' : 'input', () => onChange(input.value));
+  return input;
+}
+
+/**
+ * Creates the filter control for one column
+ * @param {string} columnLabel - Column label
+ * @param {Object} filter - Column filter, updated in place
+ * @param {Function} onChange - Called after the filter changed
+ * @returns {HTMLElement} The filter control
+ */
+function createFilterControl(columnLabel, filter, onChange) {
+  const control = document.createElement('div');
+  control.classList.add('filter-control', `filter-${filter.type}`);
+
+  switch (filter.type) {
+    case 'values': {
+      const dropdown = document.createElement('details');
+      dropdown.classList.add('filter-dropdown');
+      const summary = document.createElement('summary');
+      summary.setAttribute('aria-label', `Filter ${columnLabel}`);
+      dropdown.appendChild(summary);
+
+      const updateSummary = () => {
+        if (filter.values.size === 0) summary.textContent = 'All';
+        else if (filter.values.size === 1) [summary.textContent] = filter.values;
+        else summary.textContent = `${filter.values.size} selected`;
+      };
+      updateSummary();
+
+      const list = document.createElement('div');
+      list.classList.add('filter-options');
+      filter.options.forEach((option) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = option;
+        checkbox.checked = filter.values.has(option);
+        checkbox.addEventListener('change', () => {
+          if (checkbox.checked) filter.values.add(option);
+          else filter.values.delete(option);
+          updateSummary();
+          onChange();
+        });
+        label.append(checkbox, option);
+        list.appendChild(label);
+      });
+      dropdown.appendChild(list);
+      control.appendChild(dropdown);
+      break;
+    }
+
+    case 'text':
+      control.appendChild(createFilterInput('search', 'Filter…', filter.text, (value) => {
+        filter.text = value.trim();
+        filter.term = foldSearchText(filter.text).folded;
+        onChange();
+      }));
+      break;
+
+    case 'number':
+      control.append(
+        createFilterInput('number', 'Min', filter.min, (value) => {
+          filter.min = parseFilterNumber(value);
+          onChange();
+        }),
+        createFilterInput('number', 'Max', filter.max, (value) => {
+          filter.max = parseFilterNumber(value);
+          onChange();
+        }),
+      );
+      break;
+
+    case 'date':
+      control.append(
+        createFilterInput('date', 'From', filter.from, (value) => {
+          filter.from = value;
+          onChange();
+        }),
+        createFilterInput('date', 'To', filter.to, (value) => {
+          filter.to = value;
+          onChange();
+        }),
+      );
+      break;
+
+    default:
+      break;
+  }
+
+  return control;
+}
+
+/**
+ * Shows the first page of the rows matching the changed filters
+ * @param {Object} state - Pagination state
+ */
+function applyFilters(state) {
+  state.currentPage = 1; // Reset to first page
+  updateCurrentData(state);
+  renderCurrentPage(state);
+}
+
+/**
+ * Creates the filter row under the sortable headers
+ * @param {Array} columns - Displayed column names
+ * @param {Array} filterColumns - Columns that get a filter
+ * @param {Object} state - Pagination state
+ * @param {Object} initialValues - Filter values by column, e.g. from the URL
+ * @returns {HTMLTableRowElement} The filter row
+ */
+function createFilterRow(columns, filterColumns, state, initialValues = {}) {
+  const filterRow = document.createElement('tr');
+  filterRow.classList.add('filter-row');
+
+  const onChange = () => applyFilters(state);
+
+  columns.forEach((column) => {
+    const td = document.createElement('td');
+    td.classList.add('filter-cell');
+    if (filterColumns.includes(column)) {
+      state.filters[column] = createColumnFilter(state, column);
+      applyFilterValues(state.filters[column], initialValues[column]);
+      const label = getColumnLabel(column, state.columnDefinitions);
+      td.appendChild(createFilterControl(label, state.filters[column], onChange));
+    }
+    filterRow.appendChild(td);
+  });
+
+  return filterRow;
+}
+
+/**
+ * Updates the dropdown filters with the values of re-fetched rows
+ * Selected values stay in the list, even when no row has them any more.
+ * @param {HTMLTableRowElement} filterRow - The row from createFilterRow
+ * @param {Object} state - Pagination state
+ */
+function updateFilterOptions(filterRow, state) {
+  state.columns.forEach((column, index) => {
+    const filter = state.filters[column];
+    if (!filter || filter.type !== 'values') return;
+
+    const fresh = createColumnFilter(state, column);
+    if (fresh.type !== 'values') return;
+    const options = [...new Set([...fresh.options, ...filter.values])]
+      .sort((a, b) => a.localeCompare(b));
+    if (options.join('\n') === filter.options.join('\n')) return;
+
+    filter.options = options;
+    const label = getColumnLabel(column, state.columnDefinitions);
+    filterRow.cells[index].replaceChildren(
+      createFilterControl(label, filter, () => applyFilters(state)),
+    );
+  });
+}
+
+/**
+ * Creates the button that clears all column filters
+ * @param {HTMLElement} thead - Table head holding the filter row
+ * @param {Object} state - Pagination state
+ * @returns {HTMLButtonElement} The button
+ */
+function createClearFiltersButton(thead, state) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.classList.add('pagination-button', 'clear-filters-button');
+  button.textContent = 'Clear filters';
+  button.addEventListener('click', () => {
+    Object.values(state.filters).forEach((filter) => {
+      if (filter.type === 'values') filter.values.clear();
+      if (filter.type === 'text') Object.assign(filter, { text: '', term: '' });
+      if (filter.type === 'number') Object.assign(filter, { min: null, max: null });
+      if (filter.type === 'date') Object.assign(filter, { from: '', to: '' });
+    });
+    thead.querySelectorAll('.filter-row input').forEach((input) => {
+      if (input.type === 'checkbox') input.checked = false;
+      else input.value = '';
+    });
+    thead.querySelectorAll('.filter-dropdown').forEach((dropdown) => {
+      dropdown.open = false;
+      dropdown.querySelector('summary').textContent = 'All';
+    });
+    state.currentPage = 1;
+    updateCurrentData(state);
+    renderCurrentPage(state);
+  });
+  return button;
+}
 
-      // Sort data
-      const sortedData = sortData(data, column, paginationState.sortDirection);
-      paginationState.currentData = sortedData;
-      paginationState.currentPage = 1; // Reset to first page after sorting
+// Labels of the export buttons, by the file types ./export.js builds
+const EXPORT_FORMATS = {
+  csv: 'Export CSV',
+  xlsx: 'Export XLSX',
+};
 
-      // Render paginated sorted data
-      const paginatedData = getPaginatedData(
-        sortedData,
-        paginationState.currentPage,
-        paginationState.itemsPerPage,
-      );
-      renderTableBody(tbody, paginatedData, columns, paginationState.allColumns);
+/**
+ * Creates the export buttons for the current view
+ * @param {Object} state - Pagination state
+ * @returns {HTMLElement} The export controls
+ */
+function createExportControls(state) {
+  const exportDiv = document.createElement('div');
+  exportDiv.classList.add('export-controls');
 
-      // Update pagination controls
-      if (container) {
-        updatePaginationControls(container, paginationState);
-      }
+  state.exportFormats.forEach((format) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = EXPORT_FORMATS[format];
+    button.classList.add('pagination-button', 'export-button', `export-${format}`);
+    button.addEventListener('click', async () => {
+      const { downloadExport } = await import('./export.js');
+      downloadExport(state, format);
     });
+    exportDiv.appendChild(button);
   });
+
+  // One calendar file for every event of the current view
+  if (state.calendar) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Download calendar';
+    button.classList.add('pagination-button', 'export-button', 'export-ics');
+    button.addEventListener('click', async () => {
+      const { downloadCalendar } = await import('./export.js');
+      downloadCalendar(state.currentData, state, `${state.exportName}.ics`);
+    });
+    exportDiv.appendChild(button);
+  }
+
+  return exportDiv;
+}
+
+/**
+ * Formats how long ago the data was fetched ("Last updated 5 minutes ago")
+ * @param {number} time - Fetch time (ms since the epoch)
+ * @param {string|null} locale - Locale of the block
+ * @returns {string} The label
+ */
+function formatLastUpdated(time, locale) {
+  const minutes = Math.floor((Date.now() - time) / 60000);
+  if (minutes < 1) return 'Last updated just now';
+
+  const relativeFormat = new Intl.RelativeTimeFormat(locale || DEFAULT_LOCALE);
+  let ago = relativeFormat.format(-minutes, 'minute');
+  if (minutes >= 60 * 24) {
+    ago = relativeFormat.format(-Math.floor(minutes / (60 * 24)), 'day');
+  } else if (minutes >= 60) {
+    ago = relativeFormat.format(-Math.floor(minutes / 60), 'hour');
+  }
+  return `Last updated ${ago}`;
+}
+
+/**
+ * Updates a "Last updated" indicator
+ * @param {HTMLElement} indicator - The indicator element
+ * @param {number} time - Fetch time (ms since the epoch)
+ * @param {string|null} locale - Locale of the block
+ */
+function setLastUpdated(indicator, time, locale = null) {
+  indicator.dataset.updated = time;
+  indicator.textContent = formatLastUpdated(time, locale);
+  indicator.title = new Date(time).toLocaleString(locale || DEFAULT_LOCALE);
+}
+
+/**
+ * Creates the "Last updated" indicator, which keeps its label current
+ * @param {Object} state - Pagination state
+ * @returns {HTMLElement} The indicator
+ */
+function createLastUpdated(state) {
+  const { locale } = state.dateSettings;
+  const indicator = document.createElement('span');
+  indicator.classList.add('last-updated');
+  setLastUpdated(indicator, state.updatedAt, locale);
+
+  const timer = window.setInterval(() => {
+    // Stop once the table has been replaced, e.g. by another sheet
+    if (!state.tbody.isConnected) {
+      window.clearInterval(timer);
+      return;
+    }
+    setLastUpdated(indicator, Number(indicator.dataset.updated), locale);
+  }, 60000);
+
+  return indicator;
 }
 
 /**
@@ -532,54 +2924,155 @@ function createPaginationControls(container, state, data, columns, tbody) {
 
   const select = document.createElement('select');
   select.classList.add('items-per-page-select');
-  [10, 25, 50, 100].forEach((value) => {
+  state.pageSizes.forEach((value) => {
+    // "All" shows every row, rendering only those scrolled into view
     const option = document.createElement('option');
     option.value = value;
-    option.textContent = value;
-    if (value === state.itemsPerPage) {
-      option.selected = true;
-    }
+    option.textContent = value === 'all' ? 'All' : value;
+    option.selected = state.allRows ? value === 'all' : value === state.itemsPerPage;
     select.appendChild(option);
   });
 
   select.addEventListener('change', (e) => {
-    state.itemsPerPage = parseInt(e.target.value, 10);
+    state.allRows = e.target.value === 'all';
+    if (!state.allRows) {
+      state.itemsPerPage = parseInt(e.target.value, 10);
+    }
     state.currentPage = 1; // Reset to first page
-    const paginatedData = getPaginatedData(
-      state.currentData,
-      state.currentPage,
-      state.itemsPerPage,
-    );
-    renderTableBody(tbody, paginatedData, columns, state.allColumns);
-    updatePaginationControls(container, state);
+    renderCurrentPage(state);
+    announce(state, describePage(state));
   });
 
   itemsPerPageDiv.appendChild(select);
   paginationDiv.appendChild(itemsPerPageDiv);
 
+  // Export buttons for the current view
+  if ((state.exportFormats && state.exportFormats.length > 0) || state.calendar) {
+    paginationDiv.appendChild(createExportControls(state));
+  }
+
   // Page navigation
   const pageNav = document.createElement('div');
   pageNav.classList.add('page-navigation');
   paginationDiv.appendChild(pageNav);
 
+  // How fresh the (possibly cached) data is
+  if (state.updatedAt) {
+    paginationDiv.appendChild(createLastUpdated(state));
+  }
+
   container.appendChild(paginationDiv);
 
   // Initial update
-  updatePaginationControls(container, state);
+  updatePaginationControls(container, state, (page) => {
+    state.currentPage = page;
+    renderCurrentPage(state);
+  });
 
   // Store references for updates
   state.tbody = tbody;
   state.columns = columns;
 }
 
+// How long (ms) rows added or changed by a refresh stay highlighted
+const UPDATED_ROW_HIGHLIGHT = 5000;
+
+/**
+ * Gets the data type of each column, from the column definitions or else the data
+ * @param {Array} data - Data rows
+ * @param {Array} allColumns - Column names
+ * @param {Map} columnDefinitions - Definitions from parseColumnDefinitions
+ * @returns {Map} Data types by column
+ */
+function getColumnTypes(data, allColumns, columnDefinitions) {
+  return new Map(allColumns.map((column) => [
+    column,
+    (columnDefinitions.has(column) && columnDefinitions.get(column).dataType)
+      || getColumnDataType(data, column),
+  ]));
+}
+
+// Pagination state of each table, so a refresh can swap in new rows
+const tableStates = new WeakMap();
+
 /**
  * Creates a table from the JSON data
  * @param {Array} data - Array of data objects
  * @param {Array} columns - Array of column names to display (optional)
  * @param {HTMLElement} container - Container element for pagination controls
+ * @param {Object} options - Block settings
+ * @param {Object} options.dateSettings - Date settings of the block
+ * @param {Array} options.searchColumns - Columns searched by the search box
+ *   (default: the displayed columns)
+ * @param {Array|string} options.filterColumns - Columns with a filter, or 'all'
+ * @param {Array} options.defaultSort - Default sort entries, e.g. ["Event Start Date asc"]
+ * @param {Array} options.exportFormats - Export buttons to show: 'csv', 'xlsx'
+ * @param {string} options.exportName - File name of exports, without extension
+ * @param {Object} options.eventColumns - { startDateColumn, startTimeColumn, endDateColumn,
+ *   endTimeColumn, titleColumn } telling when each event takes place and its title
+ * @param {Object} options.calendar - { descriptionColumn, locationColumn } to offer
+ *   .ics downloads (optional)
+ * @param {string} options.view - Initial view: 'table', 'month', 'week' or 'timeline'
+ * @param {string} options.timelineGroupColumn - Column grouping the timeline (optional)
+ * @param {string} options.groupBy - Column grouping the rows, or 'month' to group
+ *   them by the month events start in (optional)
+ * @param {Array} options.summary - Summary tiles to show above the table, e.g.
+ *   ["today", "next 7 days", "Region"] (optional)
+ * @param {number} options.cardBreakpoint - Viewport width (px) below which rows are
+ *   shown as cards, 0 to always show the table
+ * @param {number} options.updatedAt - When the data was fetched, shown next to the
+ *   pagination (optional)
+ * @param {Set} options.updatedRows - Rows to highlight as new or changed (optional)
+ * @param {string} options.keyColumn - Column with unique row keys, e.g. for calendar
+ *   event UIDs (optional)
+ * @param {Object} options.status - { column, countdown, startingSoon } to show a status
+ *   badge column, with countdowns, where events start soon within startingSoon (ms)
+ * @param {string} options.caption - Table caption for screen readers (default: Events)
+ * @param {Function} options.onRowActivate - Called with the row when Enter is pressed
+ *   on one of its cells (optional)
+ * @param {Object} options.cellTypes - Cell types (link, email, image, badge, chips or
+ *   text) by column; other columns link web and email addresses (optional)
+ * @param {Object} options.badgeColors - Badge colours by lower-case value (optional)
+ * @param {Map} options.columnDefinitions - Labels, order, widths, alignment, visibility
+ *   and data types by column, from parseColumnDefinitions (optional)
+ * @param {Array} options.pageSizes - Page sizes offered, numbers and 'all' (optional)
+ * @param {number|string} options.pageSize - Initial page size, a number or 'all' (optional)
+ * @param {Object} options.kiosk - { interval } to cycle through the pages every interval
+ *   (ms) with a clock and the events happening now, for lobby screens (optional)
+ * @param {Object} options.urlState - { key, sheet, initial } to sync the table state
+ *   with the URL, where initial is the state read by readUrlState (optional)
  * @returns {HTMLTableElement} The table element
  */
-function createTable(data, columns = null, container = null) {
+function createTable(data, columns = null, container = null, options = {}) {
+  const {
+    dateSettings = {},
+    searchColumns = [],
+    filterColumns = [],
+    defaultSort = [],
+    exportFormats = [],
+    exportName = 'events',
+    eventColumns = {},
+    calendar = null,
+    view = 'table',
+    timelineGroupColumn = null,
+    groupBy = null,
+    summary = [],
+    cardBreakpoint = 0,
+    updatedAt = null,
+    updatedRows = null,
+    keyColumn = null,
+    kiosk = null,
+    status = {},
+    caption = 'Events',
+    onRowActivate = null,
+    cellTypes = {},
+    badgeColors = {},
+    columnDefinitions = new Map(),
+    pageSizes = PAGE_SIZE_OPTIONS,
+    pageSize = null,
+    urlState = null,
+  } = options;
+  const initialState = (urlState && urlState.initial) || {};
   const table = document.createElement('table');
   table.classList.add('event-tracker-table');
 
@@ -595,27 +3088,41 @@ function createTable(data, columns = null, container = null) {
   // Get all available columns from data
   const allColumns = Object.keys(data[0]);
 
-  // Determine which columns to display
+  // Determine which columns to display: the configured ones, or else the sheet's
+  // in the order of the column definitions, leaving out the hidden ones
+  const getColumnOrder = (column) => (columnDefinitions.has(column)
+    ? columnDefinitions.get(column).order
+    : Infinity);
   let displayColumns = columns && columns.length > 0
     ? columns
-    : allColumns;
+    : allColumns
+      .filter((column) => !columnDefinitions.has(column) || columnDefinitions.get(column).visible)
+      .sort((a, b) => (getColumnOrder(a) === getColumnOrder(b)
+        ? 0
+        : getColumnOrder(a) - getColumnOrder(b)));
 
-  // Filter out Time columns that have corresponding Date columns
-  displayColumns = displayColumns.filter((column) => {
-    // If this is a Time column, check if there's a corresponding Date column
-    if (column.endsWith('Time')) {
-      const dateColumn = column.replace(/Time$/, 'Date');
-      // Hide Time column if Date column exists in display columns
-      return !displayColumns.includes(dateColumn);
-    }
-    return true;
-  });
+  // Filter out Time columns shown together with their Date columns
+  const pairedTimeColumns = displayColumns
+    .map((column) => getTimeColumnForDate(column, allColumns, dateSettings));
+  displayColumns = displayColumns.filter((column) => !pairedTimeColumns.includes(column));
+
+  // The body cells are navigated like a grid (see addKeyboardShortcuts)
+  table.setAttribute('role', 'grid');
+
+  // Name the table for screen readers
+  const tableCaption = document.createElement('caption');
+  tableCaption.classList.add('visually-hidden');
+  tableCaption.textContent = caption;
+  table.appendChild(tableCaption);
 
   // Create table header
   const thead = document.createElement('thead');
   const headerRow = document.createElement('tr');
   displayColumns.forEach((column) => {
-    const th = createSortableHeader(column);
+    const th = createSortableHeader(column, getColumnLabel(column, columnDefinitions));
+    const definition = columnDefinitions.get(column);
+    if (definition && definition.width) th.style.width = definition.width;
+    if (definition && definition.align) th.classList.add(`align-${definition.align}`);
     headerRow.appendChild(th);
   });
   thead.appendChild(headerRow);
@@ -625,66 +3132,623 @@ function createTable(data, columns = null, container = null) {
   const tbody = document.createElement('tbody');
   tbody.classList.add('sortable-tbody');
 
-  // Store original data on the table for sorting and pagination
-  table.dataset.originalData = JSON.stringify(data);
-  table.dataset.displayColumns = JSON.stringify(displayColumns);
-  table.dataset.allColumns = JSON.stringify(allColumns);
-
   // Find "Event Start Date" column for default sorting
   const eventStartDateColumn = displayColumns.find((col) => col.toLowerCase().includes('event start date') || col === 'Event Start Date');
 
-  // Apply default sorting if Event Start Date column exists
-  let sortedData = data;
-  if (eventStartDateColumn) {
-    sortedData = sortData(data, eventStartDateColumn, 'asc');
-  }
+  // Only search columns that exist in the data
+  const validSearchColumns = searchColumns.filter((column) => allColumns.includes(column));
 
   // Initialize pagination state
+  // Sort by the configured default sort, or by Event Start Date if it exists
+  const configuredSort = parseSortKeys(defaultSort, allColumns);
+  let initialSort = [];
+  if (configuredSort.length > 0) {
+    initialSort = configuredSort;
+  } else if (eventStartDateColumn) {
+    initialSort = [{ column: eventStartDateColumn, direction: 'asc' }];
+  }
+
+  // The configured page size is always offered; without one tables start at
+  // 10 rows a page, or the smallest size offered
+  const pageSizeOptions = pageSize && !pageSizes.includes(pageSize)
+    ? [...pageSizes, pageSize].sort(comparePageSizes)
+    : pageSizes;
+  const rowCounts = pageSizeOptions.filter((size) => size !== 'all');
+  let defaultPageSize = pageSize
+    || (rowCounts.includes(DEFAULT_PAGE_SIZE) ? DEFAULT_PAGE_SIZE : pageSizeOptions[0]);
+  if (kiosk && defaultPageSize === 'all') defaultPageSize = rowCounts[0] || DEFAULT_PAGE_SIZE;
+
   const paginationState = {
     currentPage: 1,
-    itemsPerPage: 10,
+    itemsPerPage: defaultPageSize === 'all' ? rowCounts[0] || DEFAULT_PAGE_SIZE : defaultPageSize,
     totalItems: data.length,
-    currentData: sortedData,
-    sortColumn: eventStartDateColumn || null,
-    sortDirection: 'asc',
+    data,
+    currentData: data,
+    columnTypes: getColumnTypes(data, allColumns, columnDefinitions),
+    sortValues: new Map(),
+    allRows: defaultPageSize === 'all',
+    pageSizes: pageSizeOptions,
+    defaultPageSize,
+    rowHeight: null,
+    virtualItems: null,
+    virtualRange: null,
+    sortKeys: initialSort.map((key) => ({ ...key })),
+    defaultSort: initialSort,
     allColumns,
+    dateSettings,
+    searchText: '',
+    searchTerm: '',
+    searchColumns: validSearchColumns.length > 0 ? validSearchColumns : displayColumns,
+    searchIndex: new WeakMap(),
+    filters: {},
+    tbody,
+    columns: displayColumns,
+    container,
+    urlState,
+    exportFormats,
+    exportName,
+    eventColumns: {
+      ...eventColumns,
+      titleColumn: allColumns.includes(eventColumns.titleColumn)
+        ? eventColumns.titleColumn
+        : displayColumns[0],
+    },
+    calendar: null,
+    rowActions: [],
+    view: 'table',
+    defaultView: 'table',
+    calendarView: null,
+    calendarDay: getTodayNumber(dateSettings),
+    timelineGroupColumn: allColumns.includes(timelineGroupColumn) ? timelineGroupColumn : null,
+    timelineZoom: null,
+    layout: 'table',
+    cardList: null,
+    cardSort: null,
+    groupBy: null,
+    groups: null,
+    collapsedGroups: new Set(),
+    summaryFilter: null,
+    summaryEntries: summary,
+    summaryBar: null,
+    updatedAt,
+    updatedRows,
+    keyColumn,
+    kiosk: null,
+    status: null,
+    liveRegion: null,
+    gridCell: null,
+    onRowActivate,
+    cellTypes,
+    badgeColors,
+    columnDefinitions,
   };
 
-  // Render initial page
-  const paginatedData = getPaginatedData(
-    sortedData,
-    paginationState.currentPage,
-    paginationState.itemsPerPage,
-  );
-  renderTableBody(tbody, paginatedData, displayColumns, allColumns);
+  tableStates.set(table, paginationState);
+
+  // Highlight new and changed rows only while they are first shown
+  if (updatedRows) {
+    window.setTimeout(() => {
+      paginationState.updatedRows = null;
+    }, UPDATED_ROW_HIGHLIGHT);
+  }
+
+  // Calendar downloads and views need to know when events start
+  const hasEventDates = allColumns.includes(eventColumns.startDateColumn);
+
+  // Group the rows by a column, or by the month events start in
+  if (allColumns.includes(groupBy)) {
+    paginationState.groupBy = { column: groupBy, byMonth: false };
+  } else if (String(groupBy).toLowerCase() === 'month' && hasEventDates) {
+    paginationState.groupBy = { column: eventColumns.startDateColumn, byMonth: true };
+  }
+  paginationState.onGroupToggle = (key) => {
+    const { collapsedGroups } = paginationState;
+    if (collapsedGroups.has(key)) {
+      collapsedGroups.delete(key);
+    } else {
+      collapsedGroups.add(key);
+    }
+    paginationState.currentPage = Math.max(
+      1,
+      Math.min(paginationState.currentPage, getTotalPages(paginationState)),
+    );
+    renderCurrentPage(paginationState);
+  };
+
+  // Mark events as upcoming, starting soon, in progress or ended, with a badge column
+  if (hasEventDates) {
+    paginationState.status = {
+      column: !!status.column,
+      countdown: !!status.countdown,
+      startingSoon: status.startingSoon || DEFAULT_STARTING_SOON,
+    };
+  }
+  if (paginationState.status && paginationState.status.column) {
+    const statusHeader = document.createElement('th');
+    statusHeader.scope = 'col';
+    statusHeader.classList.add('status-header');
+    statusHeader.textContent = 'Status';
+    headerRow.appendChild(statusHeader);
+  }
+
+  // Offer .ics downloads when the start date column exists
+  if (calendar && hasEventDates) {
+    paginationState.calendar = calendar;
+    paginationState.rowActions.push({
+      label: 'Add to calendar',
+      className: 'add-to-calendar',
+      onClick: async (row) => {
+        const filename = `${toClassName(getCellText(row, paginationState.eventColumns.titleColumn, allColumns, dateSettings)) || 'event'}.ics`;
+        const { downloadCalendar } = await import('./export.js');
+        downloadCalendar([row], paginationState, filename);
+      },
+    });
+    const actionsHeader = document.createElement('th');
+    actionsHeader.scope = 'col';
+    actionsHeader.classList.add('row-actions-header');
+    actionsHeader.textContent = 'Calendar';
+    headerRow.appendChild(actionsHeader);
+  }
+
+  // Restore sort, page size and search from the URL
+  const urlSort = parseSortKeys(initialState.sort || [], allColumns);
+  if (urlSort.length > 0) {
+    paginationState.sortKeys = urlSort;
+  }
+  if (initialState.pageSize === 'all' && pageSizeOptions.includes('all') && !kiosk) {
+    paginationState.allRows = true;
+  } else if (rowCounts.includes(initialState.pageSize)) {
+    paginationState.allRows = false;
+    paginationState.itemsPerPage = initialState.pageSize;
+  }
+  if (initialState.search) {
+    paginationState.searchText = initialState.search;
+    paginationState.searchTerm = foldSearchText(initialState.search).folded;
+  }
+  const summaryTiles = getSummaryTiles(summary, paginationState);
+  paginationState.summaryFilter = summaryTiles
+    .find((tile) => tile.id === initialState.summary) || null;
+  if (hasEventDates && container && VIEW_MODES[view]) {
+    paginationState.defaultView = view;
+    paginationState.view = VIEW_MODES[initialState.view] ? initialState.view : view;
+  }
+
+  // Add the filter row under the headers
+  const columnsWithFilters = filterColumns === 'all'
+    ? displayColumns
+    : displayColumns.filter((column) => filterColumns.includes(column));
+  if (columnsWithFilters.length > 0) {
+    const filterRow = createFilterRow(
+      displayColumns,
+      columnsWithFilters,
+      paginationState,
+      initialState.filters,
+    );
+    for (let index = 0; index < getExtraCellCount(paginationState); index += 1) {
+      filterRow.appendChild(document.createElement('td'));
+    }
+    thead.appendChild(filterRow);
+    table.classList.add('has-filters');
+  }
+
+  // Search, filter and sort the data, then restore the page
+  updateCurrentData(paginationState);
+  const totalPages = getTotalPages(paginationState);
+  paginationState.currentPage = Math.max(1, Math.min(initialState.page || 1, totalPages));
+
   table.appendChild(tbody);
 
   // Add click handlers for sorting (with pagination support)
-  // Pass original data to sort handlers so re-sorting works correctly
-  addSortHandlers(table, thead, tbody, data, displayColumns, paginationState, container);
+  // Sorting always starts again from the original data
+  addSortHandlers(thead, displayColumns, paginationState);
 
   // Update sort indicators to show initial sort
-  if (eventStartDateColumn) {
+  if (paginationState.sortKeys.length > 0) {
     const headers = thead.querySelectorAll('.sortable-header');
-    updateSortIndicators(headers, eventStartDateColumn, 'asc');
+    updateSortIndicators(headers, paginationState.sortKeys);
   }
 
-  // Create pagination controls if container is provided
+  // Create search and pagination controls if container is provided
   if (container) {
-    createPaginationControls(container, paginationState, sortedData, displayColumns, tbody);
+    // Sorting and paging are announced to screen readers
+    paginationState.liveRegion = document.createElement('div');
+    paginationState.liveRegion.classList.add('event-tracker-announcer', 'visually-hidden');
+    paginationState.liveRegion.setAttribute('aria-live', 'polite');
+    paginationState.liveRegion.setAttribute('aria-atomic', 'true');
+    container.appendChild(paginationState.liveRegion);
+
+    // Kiosks cycle through the pages on their own
+    if (kiosk) {
+      const header = document.createElement('div');
+      header.classList.add('event-tracker-kiosk');
+      paginationState.kiosk = {
+        interval: kiosk.interval,
+        elapsed: 0,
+        pausedUntil: 0,
+        header,
+      };
+      container.classList.add('kiosk-mode');
+      container.appendChild(header);
+    }
+    if (summaryTiles.length > 0) {
+      paginationState.summaryBar = createSummaryBar(summaryTiles, paginationState);
+      container.appendChild(paginationState.summaryBar);
+    }
+    const searchDiv = createSearchControls(container, paginationState);
+    if (columnsWithFilters.length > 0) {
+      searchDiv.appendChild(createClearFiltersButton(thead, paginationState));
+    }
+    if (hasEventDates) {
+      searchDiv.appendChild(createViewToggle(paginationState));
+    }
+
+    // Arrow keys move between cells; "?" lists the shortcuts
+    const shortcutHelp = createShortcutHelp();
+    const shortcutButton = document.createElement('button');
+    shortcutButton.type = 'button';
+    shortcutButton.classList.add('pagination-button', 'shortcuts-button');
+    shortcutButton.textContent = '?';
+    shortcutButton.title = 'Keyboard shortcuts (?)';
+    shortcutButton.setAttribute('aria-label', 'Keyboard shortcuts');
+    shortcutButton.addEventListener('click', () => toggleShortcutHelp(shortcutHelp, true));
+    searchDiv.appendChild(shortcutButton);
+    container.appendChild(shortcutHelp);
+    addKeyboardShortcuts(paginationState, shortcutHelp);
+
+    createPaginationControls(
+      container,
+      paginationState,
+      paginationState.currentData,
+      displayColumns,
+      tbody,
+    );
+
+    // Month and week views of the same data
+    if (hasEventDates) {
+      paginationState.calendarView = document.createElement('div');
+      paginationState.calendarView.classList.add('event-tracker-calendar');
+      container.appendChild(paginationState.calendarView);
+    }
+
+    // Render the rows scrolled into view in the "All" rows mode
+    let frame = null;
+    const onScroll = () => {
+      // Stop listening once the table has been replaced, e.g. by another sheet
+      if (!tbody.isConnected) {
+        window.removeEventListener('scroll', onScroll);
+        window.removeEventListener('resize', onScroll);
+        return;
+      }
+      if (!paginationState.allRows || paginationState.layout !== 'table' || frame) return;
+      frame = window.requestAnimationFrame(() => {
+        frame = null;
+        renderVirtualRows(paginationState, paginationState.virtualItems, false);
+      });
+    };
+    window.addEventListener('scroll', onScroll, { passive: true });
+    window.addEventListener('resize', onScroll, { passive: true });
+
+    // Show cards instead of the table on narrow screens
+    if (cardBreakpoint > 0) {
+      paginationState.cardList = document.createElement('ul');
+      paginationState.cardList.classList.add('event-tracker-cards');
+      container.appendChild(paginationState.cardList);
+      searchDiv.appendChild(createCardSortControl(thead, paginationState));
+
+      const query = window.matchMedia(`(width < ${cardBreakpoint}px)`);
+      const setLayout = () => {
+        paginationState.layout = query.matches ? 'cards' : 'table';
+        container.classList.toggle('card-layout', query.matches);
+      };
+      const onLayoutChange = () => {
+        // Stop listening once the table has been replaced, e.g. by another sheet
+        if (!tbody.isConnected) {
+          query.removeEventListener('change', onLayoutChange);
+          return;
+        }
+        setLayout();
+        renderCurrentPage(paginationState);
+      };
+      query.addEventListener('change', onLayoutChange);
+      setLayout();
+    }
+  }
+
+  // Render initial page
+  renderCurrentPage(paginationState);
+
+  // The kiosk clock, page timer and events happening now load with kiosk mode
+  if (paginationState.kiosk) {
+    import('./kiosk.js').then(({ default: startKiosk }) => startKiosk(paginationState, (page) => {
+      paginationState.currentPage = page;
+      renderCurrentPage(paginationState);
+    }));
+  }
+
+  // Keep the status badges, countdowns and row classes current
+  if (paginationState.status && paginationState.status.column) {
+    const timer = window.setInterval(() => {
+      // Stop once the table has been replaced, e.g. by another sheet
+      if (!tbody.isConnected) {
+        window.clearInterval(timer);
+        return;
+      }
+      updateEventStatuses(paginationState);
+    }, STATUS_REFRESH_INTERVAL);
   }
 
   return table;
 }
 
+/**
+ * Swaps re-fetched rows into a table, keeping its sort, filters, search, page and view
+ * @param {HTMLElement} table - The table from createTable
+ * @param {Array} data - The new rows
+ * @param {Object} options - Refresh details
+ * @param {number} options.updatedAt - When the rows were fetched
+ * @param {Set} options.updatedRows - Rows to highlight as new or changed (optional)
+ * @returns {boolean} False when the rows don't fit the table, e.g. their columns
+ *   changed, and it has to be created again
+ */
+function updateTableData(table, data, { updatedAt, updatedRows = null }) {
+  const state = tableStates.get(table);
+  if (!state || data.length === 0) return false;
+  if (Object.keys(data[0]).join('\n') !== state.allColumns.join('\n')) return false;
+
+  state.data = data;
+  state.totalItems = data.length;
+  state.columnTypes = getColumnTypes(data, state.allColumns, state.columnDefinitions);
+  state.sortValues = new Map();
+  state.searchIndex = new WeakMap();
+  state.updatedAt = updatedAt;
+  state.updatedRows = updatedRows;
+  if (updatedRows) {
+    window.setTimeout(() => {
+      if (state.updatedRows === updatedRows) state.updatedRows = null;
+    }, UPDATED_ROW_HIGHLIGHT);
+  }
+
+  const filterRow = table.querySelector('.filter-row');
+  if (filterRow) updateFilterOptions(filterRow, state);
+  // Value tiles follow the values of the new rows, a selected tile stays selected
+  if (state.summaryBar) {
+    const tiles = getSummaryTiles(state.summaryEntries, state);
+    const selectedId = state.summaryFilter && state.summaryFilter.id;
+    state.summaryFilter = tiles.find((tile) => tile.id === selectedId) || null;
+    const summaryBar = createSummaryBar(tiles, state);
+    state.summaryBar.replaceWith(summaryBar);
+    state.summaryBar = summaryBar;
+  }
+  if (state.container) {
+    state.container.querySelectorAll('.last-updated').forEach((indicator) => {
+      setLastUpdated(indicator, updatedAt, state.dateSettings.locale);
+    });
+  }
+
+  updateCurrentData(state);
+  state.currentPage = Math.max(1, Math.min(state.currentPage, getTotalPages(state)));
+  renderCurrentPage(state);
+  return true;
+}
+
+/**
+ * Parses a comma-separated block configuration value
+ * @param {string|Array} value - The configuration value
+ * @returns {Array} Trimmed, non-empty entries
+ */
+function parseListConfig(value) {
+  if (!value) return [];
+  const text = Array.isArray(value) ? value.join(',') : value;
+  return text
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter((entry) => entry);
+}
+
+/**
+ * Parses the page sizes offered in the "Items per page" selector
+ * @param {string} value - Comma-separated sizes, e.g. "20, 50, all"
+ * @returns {Array} Sizes in ascending order with "all" last, the defaults if none are valid
+ */
+function parsePageSizes(value) {
+  const sizes = [...new Set(parseListConfig(value).map(parsePageSize).filter((size) => size))];
+  if (sizes.length === 0) return PAGE_SIZE_OPTIONS;
+  return sizes.sort(comparePageSizes);
+}
+
+/**
+ * Parses a comma-separated list of "key=value" pairs from the block configuration
+ * @param {string|Array} value - The configuration value, e.g. "Owner=email, Tags=chips"
+ * @returns {Array} [key, value] pairs with both trimmed, skipping entries without "="
+ */
+function parseMapConfig(value) {
+  return parseListConfig(value)
+    .map((entry) => {
+      const separator = entry.lastIndexOf('=');
+      return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+    })
+    .filter(([key, entryValue]) => key && entryValue);
+}
+
+/**
+ * Parses the "Column Types" configuration
+ * @param {string} value - e.g. "Registration URL=link, Owner=email, Tags=chips"
+ * @returns {Object} Cell types by column name, skipping unknown types
+ */
+function parseColumnTypes(value) {
+  return Object.fromEntries(parseMapConfig(value)
+    .map(([column, type]) => [column, type.toLowerCase()])
+    .filter(([, type]) => CELL_RENDERERS[type]));
+}
+
+/**
+ * Parses the "Badge Colors" configuration
+ * @param {string} value - e.g. "Sold Out=red, Few Seats Left=amber"
+ * @returns {Object} Colours by lower-case badge text, skipping unknown colours
+ */
+function parseBadgeColors(value) {
+  return Object.fromEntries(parseMapConfig(value)
+    .map(([text, color]) => [text.toLowerCase(), color.toLowerCase()])
+    .filter(([, color]) => BADGE_COLORS.includes(color)));
+}
+
+// Alignments and data types a column definition can set
+const COLUMN_ALIGNMENTS = ['left', 'center', 'right'];
+const COLUMN_DATA_TYPES = ['date', 'number', 'text'];
+
+/**
+ * Parses column definitions, written in the block or in a "columns" sheet
+ * Each row names a sheet header in "Column" and can set its "Label", "Order",
+ * "Width" (e.g. 200px, 20% or 200), "Align" (left, center or right), "Visible"
+ * (false hides it), "Type" (date, number or a cell type such as link) and the
+ * "Time Column" shown with it, or "none" for no time column.
+ * @param {Array} rows - Definition rows, objects keyed by header
+ * @returns {Map} Definitions by column: { label, order, width, align, visible,
+ *   dataType, cellType, timeColumn }, where timeColumn is undefined when not set
+ */
+function parseColumnDefinitions(rows) {
+  const definitions = new Map();
+  rows.forEach((row) => {
+    const fields = Object.fromEntries(Object.entries(row)
+      .map(([key, value]) => [toClassName(key), String(value ?? '').trim()]));
+    if (!fields.column) return;
+
+    const type = (fields.type || '').toLowerCase();
+    const align = (fields.align || '').toLowerCase();
+    const width = /^\d+(\.\d+)?$/.test(fields.width || '') ? `${fields.width}px` : fields.width;
+    const order = parseFloat(fields.order);
+    const timeColumn = fields['time-column'];
+
+    definitions.set(fields.column, {
+      label: fields.label || fields.column,
+      order: Number.isNaN(order) ? Infinity : order,
+      width: /^\d+(\.\d+)?(px|%|em|rem|ch)$/.test(width || '') ? width : null,
+      align: COLUMN_ALIGNMENTS.includes(align) ? align : null,
+      visible: !['false', 'no', 'hidden'].includes((fields.visible || '').toLowerCase()),
+      dataType: COLUMN_DATA_TYPES.includes(type) ? type : null,
+      cellType: CELL_RENDERERS[type] ? type : null,
+      timeColumn: timeColumn && ['none', 'false'].includes(timeColumn.toLowerCase())
+        ? null
+        : timeColumn || undefined,
+    });
+  });
+  return definitions;
+}
+
+// First cell of the row that closes the column definitions in the block
+const COLUMN_DEFINITIONS_END = 'end columns';
+
+/**
+ * Reads the column definitions written in the block and removes them from it
+ * They follow a header row starting with "Column", e.g.
+ * | Column | Label | Order | Width | Align | Visible | Type | Time Column |
+ * and run until an "End Columns" row, or else a row with a different number of
+ * cells. Configuration rows after the definitions need the "End Columns" row,
+ * as a definitions table with as many cells as them would take them in.
+ * @param {HTMLElement} block - The block element
+ * @returns {Map} Definitions by column, see parseColumnDefinitions
+ */
+function readColumnDefinitions(block) {
+  const rows = [...block.querySelectorAll(':scope > div')];
+  const headerIndex = rows.findIndex((row) => row.children.length > 1
+    && row.children[0].textContent.trim().toLowerCase() === 'column');
+  if (headerIndex === -1) return new Map();
+
+  const headers = [...rows[headerIndex].children].map((cell) => cell.textContent.trim());
+  const isEndRow = (row) => row.children.length > 0
+    && row.children[0].textContent.trim().toLowerCase() === COLUMN_DEFINITIONS_END;
+  const endIndex = rows.findIndex((row, index) => index > headerIndex
+    && (isEndRow(row) || row.children.length !== headers.length));
+  const tableRows = rows.slice(headerIndex, endIndex === -1 ? rows.length : endIndex);
+  const definitionRows = tableRows.slice(1).map((row) => Object.fromEntries(
+    [...row.children].map((cell, index) => [headers[index], cell.textContent.trim()]),
+  ));
+  tableRows.forEach((row) => row.remove());
+  if (endIndex !== -1 && isEndRow(rows[endIndex])) rows[endIndex].remove();
+  return parseColumnDefinitions(definitionRows);
+}
+
+/**
+ * Creates the tab bar used to switch between sheets
+ * Follows the ARIA tabs pattern: only the selected tab is in the tab order,
+ * the arrow keys, Home and End move between tabs and Enter or Space selects one.
+ * @param {Array} views - Sheet views from resolveSheetViews
+ * @param {number} activeIndex - Index of the initially selected view
+ * @param {Function} onSelect - Called with the selected view
+ * @param {HTMLElement} panel - Element that shows the selected view
+ * @param {string} idPrefix - Prefix for the tab and panel ids
+ * @returns {HTMLElement} The tab bar element
+ */
+function createSheetTabs(views, activeIndex, onSelect, panel, idPrefix) {
+  const tabList = document.createElement('div');
+  tabList.classList.add('event-tracker-tabs');
+  tabList.setAttribute('role', 'tablist');
+
+  panel.id = `${idPrefix}-panel`;
+  panel.setAttribute('role', 'tabpanel');
+
+  const tabs = views.map((view, index) => {
+    const tab = document.createElement('button');
+    tab.type = 'button';
+    tab.id = `${idPrefix}-tab-${index}`;
+    tab.textContent = view.label;
+    tab.classList.add('event-tracker-tab');
+    tab.setAttribute('role', 'tab');
+    tab.setAttribute('aria-controls', panel.id);
+    tab.setAttribute('aria-selected', index === activeIndex ? 'true' : 'false');
+    tab.tabIndex = index === activeIndex ? 0 : -1;
+
+    tab.addEventListener('click', () => {
+      if (tab.getAttribute('aria-selected') === 'true') return;
+      tabList.querySelectorAll('.event-tracker-tab').forEach((other) => {
+        other.setAttribute('aria-selected', other === tab ? 'true' : 'false');
+        other.tabIndex = other === tab ? 0 : -1;
+      });
+      panel.setAttribute('aria-labelledby', tab.id);
+      onSelect(view);
+    });
+
+    tabList.appendChild(tab);
+    return tab;
+  });
+
+  panel.setAttribute('aria-labelledby', tabs[activeIndex].id);
+
+  tabList.addEventListener('keydown', (event) => {
+    const current = tabs.indexOf(event.target);
+    if (current === -1) return;
+
+    const targets = {
+      ArrowLeft: (current - 1 + tabs.length) % tabs.length,
+      ArrowRight: (current + 1) % tabs.length,
+      Home: 0,
+      End: tabs.length - 1,
+    };
+    if (!(event.key in targets)) return;
+
+    event.preventDefault();
+    tabs[targets[event.key]].focus();
+  });
+
+  return tabList;
+}
+
 /**
  * Decorates the event tracker block
  * @param {Element} block - The block element
  */
 export default async function decorate(block) {
+  // Column definitions written in the block are not part of the configuration
+  const blockColumnDefinitions = readColumnDefinitions(block);
+
   // Read block configuration
   const config = readBlockConfig(block);
 
+  // Each block keeps its table state in the URL under its own key
+  const blockIndex = [...document.querySelectorAll('div.event-tracker')].indexOf(block);
+  const urlKey = config['state-key'] || (blockIndex > 0 ? `et${blockIndex + 1}` : 'et');
+  let initialUrlState = readUrlState(urlKey);
+
   // Get source URL - can be from config or from first cell
   let sourceUrl = config.source;
 
@@ -698,16 +3762,126 @@ export default async function decorate(block) {
   // Get columns to display (comma-separated list)
   let columnsToDisplay = null;
   if (config.columns) {
-    columnsToDisplay = config.columns
-      .split(',')
-      .map((col) => col.trim())
-      .filter((col) => col);
+    columnsToDisplay = parseListConfig(config.columns);
   }
 
+  // Limit the search box to some columns (comma-separated list)
+  const searchColumns = parseListConfig(config['searchable-columns']);
+
+  // Get the default sort (e.g. "Event Start Date asc, Name asc")
+  const defaultSort = parseListConfig(config['default-sort']);
+
+  // Get export formats (default: CSV, "false" hides the export buttons)
+  const exportConfig = String(config.export || 'csv').trim().toLowerCase();
+  const exportFormats = exportConfig === 'false'
+    ? []
+    : parseListConfig(exportConfig).filter((format) => EXPORT_FORMATS[format]);
+  const exportName = toClassName(sourceUrl.split('?')[0].split('/').pop().replace(/\.json$/i, '')) || 'events';
+
+  // Add filters to some columns (comma-separated list, or "all")
+  const filterColumns = String(config['filter-columns'] || '').trim().toLowerCase() === 'all'
+    ? 'all'
+    : parseListConfig(config['filter-columns']);
+
+  // Show a tab bar to switch between the sheets of a multi-sheet workbook
+  const showSheetTabs = config['sheet-tabs'] === 'true';
+
   // Get filtering configuration
   const shouldFilterPastEvents = config['filter-past-events'] !== 'false'; // Default to true
   const dateColumn = config['date-column'] || 'Event End Date';
-  const timeColumn = config['time-column'] || 'Event End Time';
+  let timeColumn = config['time-column'] || 'Event End Time';
+
+  // Get timezone configuration: the zone source times are written in (block-wide
+  // or per row) and whether times are shown in that zone or the viewer's
+  const dateSettings = {
+    timeZone: null,
+    timeZoneColumn: config['timezone-column'] || null,
+    displayTimeZone: config['display-timezone'] === 'viewer' ? 'viewer' : 'event',
+    locale: null,
+    dateFormat: 'numeric',
+  };
+
+  // Get date formatting configuration (e.g. Locale: de-DE, Date Format: long)
+  const dateFormat = (config['date-format'] || '').trim().toLowerCase();
+  if (dateFormat === 'relative' || DATE_FORMATS[dateFormat]) {
+    dateSettings.dateFormat = dateFormat;
+  }
+  if (config.locale) {
+    if (isValidLocale(config.locale.trim())) {
+      dateSettings.locale = config.locale.trim();
+    } else {
+      // eslint-disable-next-line no-console
+      console.warn(`Unknown locale "${config.locale}", using ${DEFAULT_LOCALE}`);
+    }
+  }
+  if (config.timezone) {
+    if (isValidTimeZone(config.timezone.trim())) {
+      dateSettings.timeZone = config.timezone.trim();
+    } else {
+      // eslint-disable-next-line no-console
+      console.warn(`Unknown timezone "${config.timezone}", using the viewer's timezone`);
+    }
+  }
+
+  // Events start at the start columns and end at the columns used for past events
+  const eventColumns = {
+    startDateColumn: config['start-date-column'] || 'Event Start Date',
+    startTimeColumn: config['start-time-column'] || 'Event Start Time',
+    endDateColumn: dateColumn,
+    endTimeColumn: timeColumn,
+    titleColumn: config['title-column'] || config['calendar-title-column'] || null,
+  };
+
+  // Get calendar (.ics) configuration: the columns for description and location
+  // (default: on when the start date column exists, "false" hides the buttons)
+  const calendarSettings = config.calendar !== 'false' ? {
+    descriptionColumn: config['calendar-description-column'] || null,
+    locationColumn: config['calendar-location-column'] || null,
+  } : null;
+
+  // Get the summary tiles (e.g. "Today, Next 7 Days, Region", "true" for the date tiles)
+  const summaryEntries = config.summary === 'true'
+    ? ['Upcoming', 'Today', 'Next 7 Days']
+    : parseListConfig(config.summary);
+
+  // Get the initial view: table (default), month, week or timeline
+  const initialView = (config.view || 'table').trim().toLowerCase();
+
+  // Get the width (px) below which rows are shown as cards ("false" or 0 keeps the table)
+  const cardBreakpoint = config['card-breakpoint'] === 'false'
+    ? 0
+    : parseInt(config['card-breakpoint'] || DEFAULT_CARD_BREAKPOINT, 10) || 0;
+
+  // Re-fetch the source on an interval (e.g. "5m"), matching rows by the key column
+  const refreshInterval = parseInterval(config['refresh-interval'], MIN_REFRESH_INTERVAL);
+  const keyColumn = config['key-column'] || null;
+
+  // Get the kiosk mode for lobby screens ("Mode: kiosk"), paging every "Kiosk Interval"
+  const kiosk = String(config.mode || '').trim().toLowerCase() === 'kiosk' ? {
+    interval: parseInterval(config['kiosk-interval'], MIN_KIOSK_INTERVAL) || DEFAULT_KIOSK_INTERVAL,
+  } : null;
+
+  // Get the event status settings: a badge column ("Status: true"), countdowns
+  // ("Status Countdown: true") and when events start soon (e.g. "Starting Soon: 30m")
+  const statusSettings = {
+    column: config.status === 'true',
+    countdown: config['status-countdown'] === 'true',
+    startingSoon: parseInterval(config['starting-soon'], 0) || DEFAULT_STARTING_SOON,
+  };
+
+  // Pressing Enter on a row opens the link in "Row Link Column"
+  const rowLinkColumn = config['row-link-column'] || null;
+
+  // Render cells as links, emails, images, badges or chips ("Column Types")
+  const cellTypes = parseColumnTypes(config['column-types']);
+  const badgeColors = parseBadgeColors(config['badge-colors']);
+
+  // Column definitions come from the block, or else from the workbook's "columns" sheet
+  const columnsSheetName = config['columns-sheet'] || 'columns';
+
+  // Get the page sizes offered (e.g. "20, 50, all") and the initial one ("Page Size")
+  const pageSizes = parsePageSizes(config['page-sizes']);
+  const pageSize = parsePageSize(config['page-size']);
 
   // Clear the block
   block.innerHTML = '';
@@ -721,43 +3895,274 @@ export default async function decorate(block) {
     return;
   }
 
-  // Show loading state
-  const loadingDiv = document.createElement('div');
-  loadingDiv.classList.add('event-tracker-loading');
-  loadingDiv.textContent = `Loading data from: ${sourceUrl}`;
-  block.appendChild(loadingDiv);
+  // Render cached data right away and revalidate it in the background
+  const cached = await readCachedData(sourceUrl);
+  let source = cached;
 
-  // Fetch and display data
-  const jsonData = await fetchData(sourceUrl);
+  if (!source) {
+    // Show loading state
+    const loadingDiv = document.createElement('div');
+    loadingDiv.classList.add('event-tracker-loading');
+    loadingDiv.textContent = `Loading data from: ${sourceUrl}`;
+    block.appendChild(loadingDiv);
 
-  // Remove loading state
-  block.removeChild(loadingDiv);
+    // Fetch and display data
+    source = await fetchData(sourceUrl, (loaded, total) => {
+      loadingDiv.textContent = `Loading data from: ${sourceUrl} (${Math.min(loaded, total)} of ${total} rows)`;
+    });
 
-  if (!jsonData) {
-    const errorDiv = document.createElement('div');
-    errorDiv.classList.add('event-tracker-error');
-    errorDiv.textContent = `Error loading data from: ${sourceUrl}`;
-    block.appendChild(errorDiv);
-    return;
+    // Remove loading state
+    block.removeChild(loadingDiv);
+
+    if (!source) {
+      const errorDiv = document.createElement('div');
+      errorDiv.classList.add('event-tracker-error');
+      errorDiv.textContent = `Error loading data from: ${sourceUrl}`;
+      block.appendChild(errorDiv);
+      return;
+    }
   }
 
-  // Extract data array from JSON
-  let data = jsonData.data || jsonData;
+  let updatedAt = source.fetchedAt;
 
-  if (!Array.isArray(data)) {
-    const errorDiv = document.createElement('div');
-    errorDiv.classList.add('event-tracker-error');
-    errorDiv.textContent = 'Invalid data format: expected an array';
-    block.appendChild(errorDiv);
-    return;
-  }
+  // The table on display and its rows, to find the rows a refresh adds or changes
+  let shown = null;
+
+  // Sheets and column definitions, a refresh that changes them renders the block again
+  const getLayout = (jsonData) => {
+    if (!isMultiSheet(jsonData)) return '';
+    const sheetNames = getSheetNames(jsonData);
+    const columnsSheet = findSheetName(sheetNames, columnsSheetName);
+    return JSON.stringify([sheetNames, columnsSheet ? jsonData[columnsSheet].data : null]);
+  };
+
+  // Resolve the sheet(s) to show, one view per tab
+  const resolveViews = (jsonData, selected) => {
+    if (!isMultiSheet(jsonData)) {
+      // Extract data array from JSON
+      const data = jsonData.data || jsonData;
+      if (!Array.isArray(data)) return { error: 'Invalid data format: expected an array' };
+      recordSourceRows(data);
+      return { views: [{ label: null, sheets: [], data }], activeIndex: 0 };
+    }
+
+    return resolveSheetViews(jsonData, {
+      sheet: config.sheet || '',
+      sheets: parseListConfig(config.sheets),
+      tabs: showSheetTabs,
+      selected,
+      exclude: findSheetName(getSheetNames(jsonData), columnsSheetName) || null,
+    });
+  };
+
+  // Leave out past events and find the rows that are new or changed since the previous render
+  const prepareRows = (view, previous) => {
+    const data = shouldFilterPastEvents
+      ? filterPastEvents(view.data, dateColumn, timeColumn, dateSettings)
+      : view.data;
+    const rowTexts = data.map((row) => JSON.stringify(row));
+    const rowKeys = data.map((row) => getRowKey(row, keyColumn));
+    const rows = new Map(rowKeys.map((key, index) => [key, rowTexts[index]]));
+    const updatedRows = previous
+      ? new Set(data.filter((row, index) => previous.get(rowKeys[index]) !== rowTexts[index]))
+      : null;
+    return { data, rows, updatedRows: updatedRows && updatedRows.size > 0 ? updatedRows : null };
+  };
+
+  const renderData = (jsonData, previousRows = null) => {
+    block.innerHTML = '';
+    shown = null;
+
+    // Column definitions from the block, or else from the workbook's columns sheet
+    const columnsSheet = isMultiSheet(jsonData)
+      ? findSheetName(getSheetNames(jsonData), columnsSheetName)
+      : null;
+    const columnDefinitions = blockColumnDefinitions.size > 0 || !columnsSheet
+      ? blockColumnDefinitions
+      : parseColumnDefinitions(jsonData[columnsSheet].data);
+
+    // Cell types from "Column Types" win over those of the column definitions
+    const viewCellTypes = { ...cellTypes };
+    columnDefinitions.forEach(({ cellType }, column) => {
+      if (cellType && !viewCellTypes[column]) viewCellTypes[column] = cellType;
+    });
+
+    // Time columns paired in the column definitions stand in for the default ones
+    const timeColumns = new Map([...columnDefinitions]
+      .filter(([, definition]) => definition.timeColumn !== undefined)
+      .map(([column, definition]) => [column, definition.timeColumn]));
+    // A definition with "Time Column: none" pairs the date with no time column at all
+    const pairedTimeColumn = (column, fallback) => (timeColumns.has(column)
+      ? timeColumns.get(column)
+      : fallback);
+    timeColumn = config['time-column'] || pairedTimeColumn(dateColumn, 'Event End Time');
+    eventColumns.endTimeColumn = timeColumn;
+    eventColumns.startTimeColumn = config['start-time-column']
+      || pairedTimeColumn(eventColumns.startDateColumn, 'Event Start Time');
 
-  // Filter out past events if enabled
-  if (shouldFilterPastEvents) {
-    data = filterPastEvents(data, dateColumn, timeColumn);
+    // Columns defined as numbers or text are never formatted as dates
+    const dataTypes = new Map([...columnDefinitions]
+      .filter(([, definition]) => definition.dataType)
+      .map(([column, definition]) => [column, definition.dataType]));
+
+    // Resolve the sheet(s) to show from multi-sheet workbooks
+    const resolved = resolveViews(jsonData, initialUrlState.sheet);
+    if (resolved.error) {
+      const errorDiv = document.createElement('div');
+      errorDiv.classList.add('event-tracker-error');
+      errorDiv.textContent = resolved.error;
+      block.appendChild(errorDiv);
+      return;
+    }
+    const { views, activeIndex } = resolved;
+    const layout = getLayout(jsonData);
+
+    const content = document.createElement('div');
+    content.classList.add('event-tracker-content');
+
+    const renderView = (view, previous = null) => {
+      // Filter out past events and highlight the rows that are new or changed
+      const { data, rows, updatedRows } = prepareRows(view, previous);
+
+      // Merged sheets always show which sheet a row came from
+      let columns = columnsToDisplay;
+      if (view.sheetColumn && columns && !columns.includes(view.sheetColumn)) {
+        columns = [view.sheetColumn, ...columns];
+      }
+
+      // Create and append table with pagination
+      // The URL state only applies to the first render, switching sheets starts fresh
+      content.innerHTML = '';
+      const table = createTable(data, columns, content, {
+        dateSettings: { ...dateSettings, timeColumns, dataTypes },
+        searchColumns,
+        filterColumns,
+        defaultSort,
+        exportFormats,
+        eventColumns,
+        calendar: calendarSettings,
+        view: initialView,
+        timelineGroupColumn: config['timeline-group-column'] || config['group-by'] || null,
+        groupBy: config['group-by'] || null,
+        summary: summaryEntries,
+        cardBreakpoint,
+        updatedAt,
+        updatedRows,
+        keyColumn,
+        kiosk,
+        status: statusSettings,
+        caption: config.caption || view.label || 'Events',
+        onRowActivate: rowLinkColumn ? (row) => openRowLink(row, rowLinkColumn) : null,
+        cellTypes: viewCellTypes,
+        badgeColors,
+        columnDefinitions,
+        pageSizes,
+        pageSize,
+        exportName: view.label ? `${exportName}-${toClassName(view.label)}` : exportName,
+        urlState: {
+          key: urlKey,
+          sheet: views.length > 1 ? view.label : null,
+          initial: initialUrlState,
+        },
+      });
+      initialUrlState = null;
+      content.appendChild(table);
+      shown = {
+        view, views, layout, table, rows, count: data.length,
+      };
+    };
+
+    if (views.length > 1) {
+      block.appendChild(createSheetTabs(views, activeIndex, renderView, content, `${urlKey}-sheet`));
+    }
+
+    renderView(views[activeIndex], previousRows);
+    block.appendChild(content);
+  };
+
+  renderData(source.json);
+
+  // Swap re-fetched rows into the table on display, keeping its state; false when
+  // the sheets or columns changed and the block has to render again
+  const updateShownView = (jsonData) => {
+    if (!shown || getLayout(jsonData) !== shown.layout) return false;
+    const resolved = resolveViews(jsonData, shown.view.label);
+    const describeViews = (views) => JSON.stringify(views
+      .map(({ label, sheets, sheetColumn }) => [label, sheets, sheetColumn]));
+    if (resolved.error || describeViews(resolved.views) !== describeViews(shown.views)) {
+      return false;
+    }
+
+    const index = shown.views.indexOf(shown.view);
+    const { data, rows, updatedRows } = prepareRows(resolved.views[index], shown.rows);
+    if (!updateTableData(shown.table, data, { updatedAt, updatedRows })) return false;
+
+    // The tabs keep their views, which now hold the new rows
+    shown.views.forEach((view, viewIndex) => {
+      view.data = resolved.views[viewIndex].data;
+    });
+    shown.rows = rows;
+    shown.count = data.length;
+    return true;
+  };
+
+  // Fetch the source again (a conditional request when it hasn't changed) and
+  // update the table quietly if its rows, or the past events rolling off, changed
+  let refreshing = false;
+  const refreshData = async () => {
+    if (refreshing) return;
+    refreshing = true;
+    try {
+      const fresh = await fetchData(sourceUrl, () => {}, source);
+      if (!block.isConnected) return;
+
+      const changed = !!fresh && JSON.stringify(fresh.json) !== JSON.stringify(source.json);
+      if (fresh) {
+        source = fresh;
+        updatedAt = fresh.fetchedAt;
+      }
+      const rolledOff = shouldFilterPastEvents && !!shown && shown.count
+        > filterPastEvents(shown.view.data, dateColumn, timeColumn, dateSettings).length;
+
+      if (!changed && !rolledOff) {
+        block.querySelectorAll('.last-updated').forEach((indicator) => {
+          setLastUpdated(indicator, updatedAt, dateSettings.locale);
+        });
+        return;
+      }
+
+      if (updateShownView(source.json)) return;
+
+      // Render the block again, keeping the sort, page, filters and view from the URL
+      const searchInput = block.querySelector('.event-tracker-search-input');
+      const searchFocused = !!searchInput && searchInput === document.activeElement;
+      initialUrlState = readUrlState(urlKey);
+      renderData(source.json, shown ? shown.rows : null);
+      const newSearchInput = block.querySelector('.event-tracker-search-input');
+      if (searchFocused && newSearchInput) {
+        newSearchInput.focus();
+      }
+    } catch (error) {
+      // eslint-disable-next-line no-console
+      console.error('Error refreshing data:', error);
+    } finally {
+      refreshing = false;
+    }
+  };
+
+  // Revalidate cached data right away
+  if (cached) {
+    refreshData();
   }
 
-  // Create and append table with pagination
-  const table = createTable(data, columnsToDisplay, block);
-  block.appendChild(table);
+  // Keep wall displays current
+  if (refreshInterval > 0) {
+    const timer = window.setInterval(() => {
+      if (!block.isConnected) {
+        window.clearInterval(timer);
+        return;
+      }
+      if (!document.hidden) refreshData();
+    }, refreshInterval);
+  }
 }
@@ -0,0 +1,444 @@
+/*
+ * Event Tracker exports
+ * CSV, XLSX and iCalendar files of the event tracker, loaded the first time a
+ * file is downloaded.
+ */
+
+import {
+  getExcelDateParts,
+  getDateKey,
+  isExcelSerialDate,
+  isTimeString,
+  getEventInstant,
+  sourceRowIds,
+  getColumnLabel,
+  getCellText,
+} from './utils.js';
+
+/**
+ * Gets the current view as rows of displayed text, headers first
+ * Covers every page of the searched, filtered and sorted data.
+ * @param {Object} state - Pagination state
+ * @returns {Array} Array of rows, each an array of cell strings
+ */
+function getExportRows(state) {
+  return [
+    state.columns.map((column) => getColumnLabel(column, state.columnDefinitions)),
+    ...state.currentData.map((row) => state.columns
+      .map((column) => getCellText(row, column, state.allColumns, state.dateSettings))),
+  ];
+}
+
+/**
+ * Builds an RFC 4180 CSV document
+ * Cells that spreadsheet apps would run as formulas (starting with =, +, -, @, a
+ * tab or a carriage return) get a leading apostrophe, since sheets hold form input.
+ * Numbers such as -5 or +1.5 stay as they are.
+ * @param {Array} rows - Array of rows, each an array of cell strings
+ * @returns {string} The CSV text
+ */
+function buildCsv(rows) {
+  const escapeField = (value) => {
+    const cell = String(value ?? '');
+    const isNumber = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(cell);
+    const isFormula = /^[=+\-@\t\r]/.test(cell) && !isNumber;
+    const text = isFormula ? `'${cell}` : cell;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(escapeField).join(',')).join('\r\n').concat('\r\n');
+}
+
+/**
+ * Escapes text for use in XML, dropping characters XML cannot hold
+ * @param {string} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/* eslint-disable no-bitwise */
+
+// CRC-32 lookup table used by the ZIP container of XLSX files
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Computes the CRC-32 checksum of some bytes
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {number} The checksum
+ */
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  bytes.forEach((byte) => {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/* eslint-enable no-bitwise */
+
+/**
+ * Builds an uncompressed ZIP archive
+ * @param {Array} files - [{ name, content }] with text content
+ * @returns {Uint8Array} The archive bytes
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const checksum = crc32(data);
+
+    // Local file header: stored (no compression), no timestamps
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+/**
+ * Gets the spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function getColumnLetters(index) {
+  let letters = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const letter = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + letter) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+}
+
+// Excel keeps numbers of up to 15 digits exactly
+const XLSX_MAX_DIGITS = 15;
+
+/**
+ * Builds a single-sheet XLSX workbook
+ * Numbers in number columns are written as numeric cells, everything else as
+ * inline strings, so IDs and phone numbers such as 00123 keep their digits.
+ * @param {Array} rows - Array of rows, each an array of cell strings
+ * @param {Array} dataTypes - Data type of each column ('date', 'number' or 'text')
+ * @returns {Uint8Array} The XLSX file bytes
+ */
+function buildXlsx(rows, dataTypes = []) {
+  const isNumber = (text, columnIndex) => dataTypes[columnIndex] === 'number'
+    && /^-?(0|[1-9]\d*)(\.\d+)?$/.test(text)
+    && text.replace(/\D/g, '').length <= XLSX_MAX_DIGITS;
+
+  const sheetRows = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      const ref = `${getColumnLetters(columnIndex)}${rowIndex + 1}`;
+      const text = String(value ?? '');
+      if (rowIndex > 0 && isNumber(text, columnIndex)) {
+        return `<c r="${ref}"><v>${text}</v></c>`;
+      }
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xmlHeader}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">`
+        + '<sheets><sheet name="Events" sheetId="1" r:id="rId1"/></sheets>'
+        + '</workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: `${xmlHeader}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + `<sheetData>${sheetRows.join('')}</sheetData>`
+        + '</worksheet>',
+    },
+  ]);
+}
+
+/**
+ * Downloads a file generated in the browser
+ * @param {BlobPart} content - File content
+ * @param {string} type - MIME type
+ * @param {string} filename - Suggested file name
+ */
+function downloadFile(content, type, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Escapes text for an iCalendar property value
+ * @param {string} value - The text
+ * @returns {string} The escaped text
+ */
+function escapeIcsText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds an iCalendar content line to at most 75 octets per line
+ * @param {string} line - The content line
+ * @returns {string} The folded line
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  [...line].forEach((char) => {
+    const charBytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  });
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats an instant as an iCalendar UTC date-time (e.g. 20300310T220000Z)
+ * @param {Date} date - The instant
+ * @returns {string} The formatted date-time
+ */
+function formatIcsDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Formats calendar date parts as an iCalendar date (e.g. 20300310)
+ * @param {Object} parts - { year, month, day }
+ * @param {number} addDays - Days to add, e.g. 1 for an exclusive end date
+ * @returns {string} The formatted date
+ */
+function formatIcsDate({ year, month, day }, addDays = 0) {
+  const date = new Date(Date.UTC(year, month - 1, day + addDays));
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Builds the VEVENT lines of one row
+ * Timed events are written in UTC so they mean the same instant in every
+ * calendar, without a VTIMEZONE; events without a start time become all-day events.
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state with event columns and calendar settings
+ * @param {string} timestamp - DTSTAMP value
+ * @returns {Array|null} Content lines, or null if the row has no start date
+ */
+function buildIcsEvent(row, state, timestamp) {
+  const {
+    startDateColumn,
+    startTimeColumn,
+    endDateColumn,
+    endTimeColumn,
+    titleColumn,
+  } = state.eventColumns;
+  const { descriptionColumn, locationColumn } = state.calendar;
+  const { allColumns, dateSettings } = state;
+
+  if (!isExcelSerialDate(row[startDateColumn] || '')) return null;
+
+  // The UID comes from the key column, or else the row's position in its sheet,
+  // so edited and rescheduled events update the imported ones
+  const title = getCellText(row, titleColumn, allColumns, dateSettings);
+  const key = state.keyColumn ? String(row[state.keyColumn] ?? '').trim() : '';
+  const id = key || `row-${sourceRowIds.get(row) || title}`;
+  const uid = `${encodeURIComponent(state.exportName || 'events')}/${encodeURIComponent(id)}@${window.location.hostname || 'event-tracker'}`;
+
+  const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${timestamp}`];
+
+  if (isTimeString(row[startTimeColumn])) {
+    const start = getEventInstant(row, startDateColumn, startTimeColumn, dateSettings);
+    let end = isExcelSerialDate(row[endDateColumn] || '') && isTimeString(row[endTimeColumn])
+      ? getEventInstant(row, endDateColumn, endTimeColumn, dateSettings)
+      : null;
+    // Events without a usable end last one hour
+    if (!end || end <= start) end = new Date(start.getTime() + 60 * 60 * 1000);
+    lines.push(`DTSTART:${formatIcsDateTime(start)}`, `DTEND:${formatIcsDateTime(end)}`);
+  } else {
+    const startParts = getExcelDateParts(row[startDateColumn]);
+    const endParts = isExcelSerialDate(row[endDateColumn] || '')
+      ? getExcelDateParts(row[endDateColumn])
+      : startParts;
+    // All-day events end on the (exclusive) day after the last day
+    const endDate = getDateKey(endParts) >= getDateKey(startParts) ? endParts : startParts;
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatIcsDate(startParts)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(endDate, 1)}`,
+    );
+  }
+
+  // Without a description column, the description lists the displayed columns
+  const description = descriptionColumn
+    ? getCellText(row, descriptionColumn, allColumns, dateSettings)
+    : state.columns
+      .filter((column) => column !== titleColumn && row[column])
+      .map((column) => {
+        const text = getCellText(row, column, allColumns, dateSettings);
+        return `${getColumnLabel(column, state.columnDefinitions)}: ${text}`;
+      })
+      .join('\n');
+
+  lines.push(`SUMMARY:${escapeIcsText(title)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  if (locationColumn && row[locationColumn]) {
+    lines.push(`LOCATION:${escapeIcsText(getCellText(row, locationColumn, allColumns, dateSettings))}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Builds an RFC 5545 calendar with one event per row
+ * @param {Array} rows - Data rows
+ * @param {Object} state - Pagination state with calendar settings
+ * @returns {string} The iCalendar text
+ */
+function buildIcs(rows, state) {
+  const timestamp = formatIcsDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AEM Event Tracker//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (state.dateSettings.timeZone) {
+    lines.push(`X-WR-TIMEZONE:${state.dateSettings.timeZone}`);
+  }
+  rows.forEach((row) => {
+    const eventLines = buildIcsEvent(row, state, timestamp);
+    if (eventLines) lines.push(...eventLines);
+  });
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+}
+
+const ICS_TYPE = 'text/calendar;charset=utf-8';
+
+// File types of the export buttons
+const EXPORT_FORMATS = {
+  csv: {
+    type: 'text/csv;charset=utf-8',
+    // The byte order mark makes Excel read the file as UTF-8
+    build: (rows) => `\uFEFF${buildCsv(rows)}`,
+  },
+  xlsx: {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    build: buildXlsx,
+  },
+};
+
+/**
+ * Downloads the current view as a CSV or XLSX file
+ * @param {Object} state - Pagination state
+ * @param {string} format - A key of EXPORT_FORMATS
+ */
+export function downloadExport(state, format) {
+  const { type, build } = EXPORT_FORMATS[format];
+  const dataTypes = state.columns.map((column) => state.columnTypes.get(column));
+  downloadFile(build(getExportRows(state), dataTypes), type, `${state.exportName}.${format}`);
+}
+
+/**
+ * Downloads an iCalendar file of some rows
+ * @param {Array} rows - Data rows
+ * @param {Object} state - Pagination state with calendar settings
+ * @param {string} filename - Suggested file name
+ */
+export function downloadCalendar(rows, state, filename) {
+  downloadFile(buildIcs(rows, state), ICS_TYPE, filename);
+}
@@ -0,0 +1,227 @@
+/*
+ * Event Tracker kiosk mode
+ * Clock, page cycling and "Happening now" list of kiosks ("Mode: kiosk"),
+ * loaded when a kiosk starts.
+ */
+
+import {
+  getZonedParts,
+  formatCalendarDate,
+  formatClockTime,
+  getDayNumber,
+  getDisplayTimeZone,
+  getCellText,
+  getEventRange,
+  getTotalPages,
+} from './utils.js';
+
+// How long a kiosk stays paused after someone interacts with it (ms), and the
+// events listed as happening now
+const KIOSK_RESUME_DELAY = 30000;
+
+const MAX_HAPPENING_NOW = 5;
+
+/**
+ * Renders the events of the current data that are happening now
+ * @param {Object} state - Pagination state
+ */
+function renderHappeningNow(state) {
+  const { nowSection, nowList } = state.kiosk;
+  if (!nowList) return;
+
+  const now = new Date();
+  const timeZone = getDisplayTimeZone(state.dateSettings);
+  const today = getDayNumber(getZonedParts(now, timeZone));
+  const events = state.currentData
+    .map((row) => ({ row, range: getEventRange(row, state) }))
+    .filter(({ range }) => range && range.start <= now && now < range.end);
+
+  nowList.innerHTML = '';
+  events.slice(0, MAX_HAPPENING_NOW).forEach(({ row, range }) => {
+    const item = document.createElement('li');
+    item.classList.add('kiosk-now-event');
+
+    const title = document.createElement('span');
+    title.classList.add('kiosk-now-title');
+    title.textContent = getCellText(
+      row,
+      state.eventColumns.titleColumn,
+      state.allColumns,
+      state.dateSettings,
+    );
+
+    // Events end today at a time, on a later day, or (all-day events) at midnight
+    const lastMinute = getZonedParts(new Date(range.end.getTime() - 60000), timeZone);
+    const until = document.createElement('span');
+    until.classList.add('kiosk-now-until');
+    if (getDayNumber(lastMinute) > today) {
+      until.textContent = `Until ${formatCalendarDate(lastMinute, state.dateSettings, timeZone)}`;
+    } else if (lastMinute.hours === 23 && lastMinute.minutes === 59) {
+      until.textContent = 'All day';
+    } else {
+      const end = getZonedParts(range.end, timeZone);
+      until.textContent = `Until ${formatClockTime(end.hours, end.minutes, state.dateSettings)}`;
+    }
+
+    item.append(title, until);
+    nowList.appendChild(item);
+  });
+
+  if (events.length > MAX_HAPPENING_NOW) {
+    const more = document.createElement('li');
+    more.classList.add('kiosk-now-more');
+    more.textContent = `+${events.length - MAX_HAPPENING_NOW} more`;
+    nowList.appendChild(more);
+  }
+  nowSection.hidden = events.length === 0;
+}
+
+/**
+ * Updates the kiosk progress bar to the time spent on the current page
+ * @param {Object} kiosk - Kiosk state
+ */
+function updateKioskProgress(kiosk) {
+  // Jump back to empty instead of animating backwards
+  kiosk.progressBar.style.transition = kiosk.elapsed === 0 ? 'none' : '';
+  kiosk.progressBar.style.width = `${Math.min(100, (kiosk.elapsed / kiosk.interval) * 100)}%`;
+}
+
+/**
+ * Restarts the kiosk page timer and status after a page has been rendered
+ * @param {Object} state - Pagination state
+ */
+function updateKioskStatus(state) {
+  const { kiosk } = state;
+  const totalPages = getTotalPages(state);
+  kiosk.elapsed = 0;
+  kiosk.pageInfo.textContent = totalPages > 1 ? `Page ${state.currentPage} of ${totalPages}` : '';
+  kiosk.progress.hidden = totalPages <= 1;
+  updateKioskProgress(kiosk);
+  renderHappeningNow(state);
+}
+
+/**
+ * Updates the kiosk clock
+ * @param {Object} state - Pagination state
+ * @returns {boolean} True when the minute shown changed
+ */
+function updateKioskClock(state) {
+  const { clock, date } = state.kiosk;
+  const timeZone = getDisplayTimeZone(state.dateSettings);
+  const now = getZonedParts(new Date(), timeZone);
+  const time = formatClockTime(now.hours, now.minutes, state.dateSettings);
+  if (clock.textContent === time) return false;
+
+  clock.textContent = time;
+  date.textContent = formatCalendarDate(now, { ...state.dateSettings, dateFormat: 'full' });
+  return true;
+}
+
+/**
+ * Fills the kiosk header: a clock, the page and a progress bar counting down
+ * to the next page, followed by the events happening now
+ * @param {Object} state - Pagination state, with the empty header in state.kiosk
+ */
+function fillKioskHeader(state) {
+  const { header } = state.kiosk;
+
+  const bar = document.createElement('div');
+  bar.classList.add('kiosk-bar');
+
+  const clockDiv = document.createElement('div');
+  clockDiv.classList.add('kiosk-clock');
+  const clock = document.createElement('span');
+  clock.classList.add('kiosk-time');
+  const date = document.createElement('span');
+  date.classList.add('kiosk-date');
+  clockDiv.append(clock, date);
+
+  const pageInfo = document.createElement('span');
+  pageInfo.classList.add('kiosk-page');
+
+  const paused = document.createElement('span');
+  paused.classList.add('kiosk-paused');
+  paused.textContent = 'Paused';
+
+  bar.append(clockDiv, pageInfo, paused);
+
+  const progress = document.createElement('div');
+  progress.classList.add('kiosk-progress');
+  const progressBar = document.createElement('div');
+  progressBar.classList.add('kiosk-progress-bar');
+  progress.appendChild(progressBar);
+
+  header.append(bar, progress);
+
+  // Events happening now need to know when events start
+  let nowSection = null;
+  let nowList = null;
+  if (state.allColumns.includes(state.eventColumns.startDateColumn)) {
+    nowSection = document.createElement('section');
+    nowSection.classList.add('kiosk-now');
+    nowSection.setAttribute('aria-label', 'Happening now');
+    const heading = document.createElement('p');
+    heading.classList.add('kiosk-now-heading');
+    heading.textContent = 'Happening now';
+    nowList = document.createElement('ul');
+    nowList.classList.add('kiosk-now-list');
+    nowSection.append(heading, nowList);
+    header.appendChild(nowSection);
+  }
+
+  Object.assign(state.kiosk, {
+    clock,
+    date,
+    pageInfo,
+    progress,
+    progressBar,
+    nowSection,
+    nowList,
+  });
+  updateKioskClock(state);
+}
+
+/**
+ * Starts cycling through the pages of a kiosk
+ * Any interaction with the block pauses it until it has been idle for a while.
+ * @param {Object} state - Pagination state
+ * @param {Function} showPage - Renders the page number it is called with
+ */
+export default function startKiosk(state, showPage) {
+  const { kiosk } = state;
+  const tickLength = 1000;
+
+  fillKioskHeader(state);
+  kiosk.onPageRendered = () => updateKioskStatus(state);
+  updateKioskStatus(state);
+
+  const pause = () => {
+    kiosk.pausedUntil = Date.now() + KIOSK_RESUME_DELAY;
+    kiosk.header.classList.add('paused');
+  };
+  ['pointerdown', 'keydown', 'wheel', 'focusin'].forEach((type) => {
+    state.container.addEventListener(type, pause, { passive: true });
+  });
+
+  const timer = window.setInterval(() => {
+    // Stop once the table has been replaced, e.g. by another sheet
+    if (!state.tbody.isConnected) {
+      window.clearInterval(timer);
+      return;
+    }
+
+    if (updateKioskClock(state)) renderHappeningNow(state);
+
+    const paused = Date.now() < kiosk.pausedUntil;
+    kiosk.header.classList.toggle('paused', paused);
+    const totalPages = getTotalPages(state);
+    if (paused || state.view !== 'table' || totalPages <= 1) return;
+
+    kiosk.elapsed += tickLength;
+    if (kiosk.elapsed >= kiosk.interval) {
+      showPage(state.currentPage >= totalPages ? 1 : state.currentPage + 1);
+    } else {
+      updateKioskProgress(kiosk);
+    }
+  }, tickLength);
+}
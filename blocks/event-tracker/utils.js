@@ -0,0 +1,818 @@
+/*
+ * Event Tracker helpers
+ * Date, timezone and cell helpers shared by the event tracker block and the
+ * modules it loads on demand.
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Converts an Excel serial date to its calendar date and time of day
+ * Excel's epoch starts from 1900-01-01, but with a leap year bug, so serial
+ * day 0 is 1899-12-30. The parts are worked out in UTC so the calendar date
+ * never shifts with the viewer's timezone.
+ * @param {string|number} serialDate - Excel serial date number
+ * @returns {Object} { year, month, day, hours, minutes }
+ */
+export function getExcelDateParts(serialDate) {
+  const minutes = Math.round(parseFloat(serialDate) * MINUTES_PER_DAY);
+  const date = new Date(Date.UTC(1899, 11, 30) + minutes * 60 * 1000);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hours: date.getUTCHours(),
+    minutes: date.getUTCMinutes(),
+  };
+}
+
+/**
+ * Gets a sortable key (YYYY-MM-DD) for calendar date parts
+ * Used to compare calendar dates independently of the display format.
+ * @param {Object} parts - { year, month, day }
+ * @returns {string} The date key
+ */
+export function getDateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+export const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+
+// Intl.DateTimeFormat options for each "Date Format" value
+export const DATE_FORMATS = {
+  numeric: { year: 'numeric', month: '2-digit', day: '2-digit' },
+  short: { dateStyle: 'short' },
+  medium: { dateStyle: 'medium' },
+  long: { dateStyle: 'long' },
+  full: { dateStyle: 'full' },
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Checks if a value looks like an Excel serial date
+ * @param {string} value - The value to check
+ * @returns {boolean} True if it looks like a serial date
+ */
+export function isExcelSerialDate(value) {
+  // First check if the value is purely numeric (no letters, special chars except decimal point)
+  if (!/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return false;
+  }
+
+  // Check if it's a number between reasonable Excel date range
+  const num = parseFloat(value);
+  // Excel dates typically range from 1 (1900-01-01) to ~100000 (2173-10-14)
+  // We check for integers or numbers with decimal parts (time components)
+  return !Number.isNaN(num) && num >= 1 && num < 100000;
+}
+
+/**
+ * Checks if a value is a "HH:MM" time string
+ * @param {string} value - The value to check
+ * @returns {boolean} True if it is a time string
+ */
+export function isTimeString(value) {
+  return /^\d{1,2}:\d{2}$/.test(String(value || '').trim());
+}
+
+/**
+ * Checks if a value is an IANA timezone name known to the browser
+ * @param {string} timeZone - The timezone name, e.g. "America/Los_Angeles"
+ * @returns {boolean} True if the timezone can be used with Intl
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Intl formatters are expensive to create, so they are cached per timezone
+const zonedFormatters = new Map();
+
+/**
+ * Gets a cached Intl.DateTimeFormat for a timezone
+ * @param {string|null} timeZone - IANA timezone name, or null for the viewer's timezone
+ * @param {Object} options - Intl.DateTimeFormat options
+ * @param {string} locale - Locale tag (default: en-US)
+ * @returns {Intl.DateTimeFormat} The formatter
+ */
+export function getZonedFormatter(timeZone, options, locale = DEFAULT_LOCALE) {
+  const key = `${locale}|${timeZone || ''}|${JSON.stringify(options)}`;
+  if (!zonedFormatters.has(key)) {
+    zonedFormatters.set(key, new Intl.DateTimeFormat(locale, {
+      ...options,
+      timeZone: timeZone || undefined,
+    }));
+  }
+  return zonedFormatters.get(key);
+}
+
+/**
+ * Gets the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string|null} timeZone - IANA timezone name, or null for the viewer's timezone
+ * @returns {Object} { year, month, day, hours, minutes, seconds }
+ */
+export function getZonedParts(date, timeZone) {
+  const formatter = getZonedFormatter(timeZone, {
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour % 24,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+}
+
+/**
+ * Gets the short display name of a timezone at an instant (e.g. "PDT")
+ * @param {Date} date - The instant
+ * @param {string|null} timeZone - IANA timezone name, or null for the viewer's timezone
+ * @param {string} locale - Locale tag (default: en-US)
+ * @returns {string} The timezone name
+ */
+function getTimeZoneLabel(date, timeZone, locale = DEFAULT_LOCALE) {
+  const part = getZonedFormatter(timeZone, { timeZoneName: 'short' }, locale)
+    .formatToParts(date)
+    .find(({ type }) => type === 'timeZoneName');
+  return part ? part.value : '';
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone to an instant
+ * @param {Object} parts - { year, month, day, hours, minutes }
+ * @param {string|null} timeZone - IANA timezone name, or null for the viewer's timezone
+ * @returns {Date} The instant
+ */
+export function zonedTimeToDate(parts, timeZone) {
+  const {
+    year, month, day, hours = 0, minutes = 0,
+  } = parts;
+
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hours, minutes, 0, 0);
+  }
+
+  const wallTime = Date.UTC(year, month - 1, day, hours, minutes);
+  const offsetAt = (instant) => {
+    const zoned = getZonedParts(new Date(instant), timeZone);
+    const zonedAsUtc = Date.UTC(
+      zoned.year,
+      zoned.month - 1,
+      zoned.day,
+      zoned.hours,
+      zoned.minutes,
+      zoned.seconds,
+    );
+    return zonedAsUtc - Math.floor(instant / 1000) * 1000;
+  };
+
+  // The offset may change between the guess and the result around DST
+  // transitions, so it is looked up again at the first guess
+  const firstGuess = wallTime - offsetAt(wallTime);
+  return new Date(wallTime - offsetAt(firstGuess));
+}
+
+/**
+ * Checks if a value is a locale tag supported by Intl
+ * @param {string} locale - The locale tag, e.g. "de-DE"
+ * @returns {boolean} True if the locale can be used with Intl
+ */
+export function isValidLocale(locale) {
+  if (!locale || typeof locale !== 'string') return false;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Formats calendar date parts as a relative date ("tomorrow", "in 2 weeks")
+ * Dates more than a month away fall back to the medium date style.
+ * @param {Object} parts - { year, month, day }
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @param {string|null} timeZone - Timezone that defines "today"
+ * @returns {string} Formatted date string
+ */
+function formatRelativeDate(parts, dateSettings, timeZone) {
+  const locale = dateSettings.locale || DEFAULT_LOCALE;
+  const today = getZonedParts(new Date(), timeZone);
+  const days = Math.round((Date.UTC(parts.year, parts.month - 1, parts.day)
+    - Date.UTC(today.year, today.month - 1, today.day)) / MS_PER_DAY);
+
+  if (Math.abs(days) >= 30) {
+    const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    return getZonedFormatter('UTC', DATE_FORMATS.medium, locale).format(date);
+  }
+
+  const relativeFormat = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  return Math.abs(days) < 7
+    ? relativeFormat.format(days, 'day')
+    : relativeFormat.format(Math.round(days / 7), 'week');
+}
+
+/**
+ * Formats calendar date parts using the block's locale and date format
+ * @param {Object} parts - { year, month, day }
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @param {string|null} timeZone - Timezone that defines "today" for relative dates
+ * @returns {string} Formatted date string (MM/DD/YYYY by default)
+ */
+export function formatCalendarDate(parts, dateSettings = {}, timeZone = null) {
+  const { locale = DEFAULT_LOCALE, dateFormat = 'numeric' } = dateSettings;
+
+  if (dateFormat === 'relative') {
+    return formatRelativeDate(parts, dateSettings, timeZone);
+  }
+
+  // The parts already are a calendar date, so they are formatted as UTC
+  const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+  const options = DATE_FORMATS[dateFormat] || DATE_FORMATS.numeric;
+  return getZonedFormatter('UTC', options, locale || DEFAULT_LOCALE).format(date);
+}
+
+/**
+ * Formats a time of day
+ * Without a configured locale times keep the sheet's 24-hour "HH:MM" form.
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @returns {string} Formatted time string
+ */
+export function formatClockTime(hours, minutes, dateSettings = {}) {
+  if (!dateSettings.locale) {
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  const date = new Date(Date.UTC(1970, 0, 1, hours, minutes));
+  return getZonedFormatter('UTC', { hour: 'numeric', minute: '2-digit' }, dateSettings.locale)
+    .format(date);
+}
+
+/**
+ * Converts Excel serial date number to a readable date string
+ * @param {string|number} serialDate - Excel serial date number
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @returns {string} Formatted date string (MM/DD/YYYY by default)
+ */
+function formatExcelDate(serialDate, dateSettings = {}) {
+  return formatCalendarDate(getExcelDateParts(serialDate), dateSettings);
+}
+
+/**
+ * Creates a Date object from Excel serial date and time
+ * @param {string|number} serialDate - Excel serial date
+ * @param {string} timeString - Time string (e.g., "03:00")
+ * @param {string|null} timeZone - Timezone the values are written in (default: viewer's)
+ * @returns {Date} JavaScript Date object
+ */
+export function createDateTimeFromExcel(serialDate, timeString, timeZone = null) {
+  const parts = getExcelDateParts(serialDate);
+
+  // Parse time string (format: "HH:MM")
+  if (isTimeString(timeString)) {
+    [parts.hours, parts.minutes] = String(timeString).trim().split(':').map(Number);
+  }
+
+  return zonedTimeToDate(parts, timeZone);
+}
+
+/**
+ * Gets the timezone the date/time values of a row are written in
+ * A valid value in the timezone column wins over the block-wide timezone.
+ * @param {Object} row - Data row object
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {string|null} IANA timezone name, or null for the viewer's timezone
+ */
+function getRowTimeZone(row, dateSettings = {}) {
+  const { timeZone = null, timeZoneColumn = null } = dateSettings;
+  const rowTimeZone = timeZoneColumn ? String(row[timeZoneColumn] || '').trim() : '';
+  return isValidTimeZone(rowTimeZone) ? rowTimeZone : timeZone;
+}
+
+/**
+ * Gets the source and display timezones of a row
+ * @param {Object} row - Data row object
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {Object|null} { source, display }, or null when no timezone is configured
+ */
+export function getRowZones(row, dateSettings = {}) {
+  if (!dateSettings.timeZone && !dateSettings.timeZoneColumn) return null;
+
+  const source = getRowTimeZone(row, dateSettings);
+  return {
+    source,
+    display: dateSettings.displayTimeZone === 'viewer' ? null : source,
+  };
+}
+
+/**
+ * Gets the instant an event date/time refers to
+ * @param {Object} row - Data row object
+ * @param {string} dateColumn - Name of the date column
+ * @param {string} timeColumn - Name of the time column (optional)
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {Date|null} The instant, or null if the row has no valid date
+ */
+export function getEventInstant(row, dateColumn, timeColumn, dateSettings = {}) {
+  const dateValue = row[dateColumn];
+  if (!dateValue || !isExcelSerialDate(dateValue)) return null;
+
+  const timeValue = timeColumn ? row[timeColumn] : '';
+  return createDateTimeFromExcel(dateValue, timeValue, getRowTimeZone(row, dateSettings));
+}
+
+/**
+ * Formats a cell value based on its content
+ * @param {string} value - The cell value
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @returns {string} Formatted value
+ */
+function formatCellValue(value, dateSettings = {}) {
+  if (!value) return '';
+
+  // Check if it's an Excel serial date
+  if (isExcelSerialDate(value)) {
+    return formatExcelDate(value, dateSettings);
+  }
+
+  return value;
+}
+
+/**
+ * Formats Excel serial date with time
+ * When timezones are configured the instant is shown in the display
+ * timezone, followed by the timezone name.
+ * @param {string|number} dateValue - Excel serial date
+ * @param {string} timeValue - Time string (e.g., "03:00")
+ * @param {Object|null} zones - Source and display timezones from getRowZones
+ * @param {Object} dateSettings - Date formatting settings of the block
+ * @returns {string} Formatted date and time string
+ */
+function formatDateTimeValue(dateValue, timeValue, zones = null, dateSettings = {}) {
+  if (!dateValue) return '';
+
+  if (zones && isExcelSerialDate(dateValue) && isTimeString(timeValue)) {
+    const instant = createDateTimeFromExcel(dateValue, timeValue, zones.source);
+    const parts = getZonedParts(instant, zones.display);
+    const date = formatCalendarDate(parts, dateSettings, zones.display);
+    const time = formatClockTime(parts.hours, parts.minutes, dateSettings);
+    const label = getTimeZoneLabel(instant, zones.display, dateSettings.locale || DEFAULT_LOCALE);
+    return `${date} ${time} ${label}`;
+  }
+
+  const formattedDate = isExcelSerialDate(dateValue)
+    ? formatExcelDate(dateValue, dateSettings)
+    : dateValue;
+
+  if (isTimeString(timeValue)) {
+    const [hours, minutes] = timeValue.trim().split(':').map(Number);
+    return `${formattedDate} ${dateSettings.locale ? formatClockTime(hours, minutes, dateSettings) : timeValue}`;
+  }
+
+  if (timeValue && timeValue.trim()) {
+    return `${formattedDate} ${timeValue}`;
+  }
+
+  return formattedDate;
+}
+
+/**
+ * Gets the corresponding time column name for a date column
+ * @param {string} dateColumn - Date column name
+ * @param {Array} allColumns - All available columns
+ * @param {Object} dateSettings - Date settings of the block, where timeColumns maps
+ *   date columns to the time column paired in the column definitions (optional)
+ * @returns {string|null} Time column name or null
+ */
+export function getTimeColumnForDate(dateColumn, allColumns, dateSettings = {}) {
+  // Pairs from the column definitions win, even when they pair with no time column
+  const { timeColumns = null } = dateSettings;
+  if (timeColumns && timeColumns.has(dateColumn)) {
+    const timeColumn = timeColumns.get(dateColumn);
+    return timeColumn && allColumns.includes(timeColumn) ? timeColumn : null;
+  }
+
+  // If column ends with "Date", look for corresponding "Time" column
+  if (dateColumn.endsWith('Date')) {
+    const timeColumn = dateColumn.replace(/Date$/, 'Time');
+    if (allColumns.includes(timeColumn)) {
+      return timeColumn;
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the day number (whole Excel serial date) of calendar date parts
+ * Day numbers let the calendar step through days without timezone shifts.
+ * @param {Object} parts - { year, month, day }, where month and day may overflow
+ * @returns {number} The day number
+ */
+export function getDayNumber({ year, month, day }) {
+  return Math.round((Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / MS_PER_DAY);
+}
+
+/**
+ * Gets the block-wide display timezone
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {string|null} IANA timezone name, or null for the viewer's timezone
+ */
+export function getDisplayTimeZone(dateSettings = {}) {
+  return dateSettings.displayTimeZone === 'viewer' ? null : dateSettings.timeZone;
+}
+
+/**
+ * Gets today's day number in the display timezone
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {number} The day number
+ */
+export function getTodayNumber(dateSettings = {}) {
+  return getDayNumber(getZonedParts(new Date(), getDisplayTimeZone(dateSettings)));
+}
+
+// Position of each row in its sheet, e.g. "Webinars-3", which identifies rows
+// without a key column in calendar downloads
+export const sourceRowIds = new WeakMap();
+
+/**
+ * Records the position of each row in its sheet
+ * @param {Array} rows - Rows of one sheet, in sheet order
+ * @param {string|null} sheetName - The sheet name, null for single-sheet sources
+ */
+export function recordSourceRows(rows, sheetName = null) {
+  rows.forEach((row, index) => {
+    sourceRowIds.set(row, sheetName ? `${sheetName}-${index + 1}` : String(index + 1));
+  });
+}
+
+/**
+ * Gets the label a column is shown with
+ * @param {string} column - Column name
+ * @param {Map} columnDefinitions - Column definitions by column (optional)
+ * @returns {string} The label from the column definitions, or the column name
+ */
+export function getColumnLabel(column, columnDefinitions = null) {
+  const definition = columnDefinitions && columnDefinitions.get(column);
+  return definition ? definition.label : column;
+}
+
+/**
+ * Folds text for searching: lower case without diacritics
+ * Also returns, for every folded character, the index of the original
+ * character it came from so matches can be highlighted in the original text.
+ * @param {string} text - The text to fold
+ * @returns {Object} { folded, indexMap }
+ */
+export function foldSearchText(text) {
+  let folded = '';
+  const indexMap = [];
+  for (let i = 0; i < text.length; i += 1) {
+    const foldedChar = text[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    folded += foldedChar;
+    for (let j = 0; j < foldedChar.length; j += 1) indexMap.push(i);
+  }
+  return { folded, indexMap };
+}
+
+/**
+ * Gets the text displayed in a cell
+ * @param {Object} row - Data row object
+ * @param {string} column - Column name
+ * @param {Array} allColumns - All available column names from data
+ * @param {Object} dateSettings - Date settings of the block, where dataTypes maps
+ *   columns to the type set in the column definitions (optional)
+ * @returns {string} The cell text
+ */
+export function getCellText(row, column, allColumns = [], dateSettings = {}) {
+  // Columns defined as numbers or text are never shown as dates
+  const { dataTypes = null } = dateSettings;
+  const dataType = dataTypes && dataTypes.get(column);
+  if (dataType === 'number' || dataType === 'text') return String(row[column] || '');
+
+  // Check if this is a date column with a corresponding time column
+  const timeColumn = getTimeColumnForDate(column, allColumns, dateSettings);
+
+  if (timeColumn) {
+    // Combine date and time
+    const dateValue = row[column] || '';
+    const timeValue = row[timeColumn] || '';
+    return formatDateTimeValue(dateValue, timeValue, getRowZones(row, dateSettings), dateSettings);
+  }
+
+  // Regular column
+  const rawValue = row[column] || '';
+  return formatCellValue(rawValue, dateSettings);
+}
+
+/**
+ * Appends text to an element, wrapping search matches in <mark> elements
+ * @param {HTMLElement} element - The element to fill
+ * @param {string} text - The text to append
+ * @param {string} searchTerm - Folded search term (optional)
+ */
+export function appendHighlightedText(element, text, searchTerm = '') {
+  if (!searchTerm || !text) {
+    element.append(text);
+    return;
+  }
+
+  const { folded, indexMap } = foldSearchText(text);
+  let position = 0;
+  let matchIndex = folded.indexOf(searchTerm);
+
+  while (matchIndex !== -1) {
+    const start = indexMap[matchIndex];
+    const end = indexMap[matchIndex + searchTerm.length - 1] + 1;
+    if (start > position) element.append(text.slice(position, start));
+    const mark = document.createElement('mark');
+    mark.classList.add('search-match');
+    mark.textContent = text.slice(start, end);
+    element.append(mark);
+    position = end;
+    matchIndex = folded.indexOf(searchTerm, matchIndex + searchTerm.length);
+  }
+
+  if (position < text.length) element.append(text.slice(position));
+}
+
+/**
+ * Creates the action buttons of a row
+ * @param {Object} row - Data row object
+ * @param {Array} rowActions - [{ label, className, onClick(row) }]
+ * @returns {Array} The buttons
+ */
+export function createRowActionButtons(row, rowActions) {
+  return rowActions.map(({ label, className, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.classList.add('row-action', className);
+    button.addEventListener('click', () => onClick(row));
+    return button;
+  });
+}
+
+// Only web addresses are linked or loaded from the sheet, so values such as
+// "javascript:" or "data:" URLs stay plain text
+const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+
+// Cells without a column type are linked when they hold just a web or email address
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+\.[^\s@<>()[\]\\,;:"]+$/;
+
+/**
+ * Resolves a web address from the sheet
+ * Only absolute http(s) addresses and root-relative paths count, so text such as
+ * "TBD" isn't turned into a link relative to the page.
+ * @param {string} value - Absolute address or root-relative path
+ * @returns {URL|null} The address, or null if it isn't an http(s) one
+ */
+export function getSafeUrl(value) {
+  const link = String(value || '').trim();
+  if (!/^https?:\/\//i.test(link) && !/^\/(?!\/)/.test(link)) return null;
+  try {
+    const url = new URL(link, window.location.href);
+    return SAFE_URL_PROTOCOLS.includes(url.protocol) ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Badge colours, and the colour of common values unless "Badge Colors" sets one
+export const BADGE_COLORS = ['green', 'red', 'amber', 'blue', 'grey'];
+
+const DEFAULT_BADGE_COLORS = {
+  yes: 'green',
+  true: 'green',
+  open: 'green',
+  confirmed: 'green',
+  available: 'green',
+  active: 'green',
+  no: 'red',
+  false: 'red',
+  closed: 'red',
+  cancelled: 'red',
+  canceled: 'red',
+  'sold out': 'red',
+  full: 'red',
+  pending: 'amber',
+  tentative: 'amber',
+  waitlist: 'amber',
+  postponed: 'amber',
+  new: 'blue',
+};
+
+/**
+ * Gets the colour of a badge
+ * @param {string} text - Badge text
+ * @param {Object} badgeColors - Colours by lower-case value, from "Badge Colors"
+ * @returns {string} One of BADGE_COLORS
+ */
+function getBadgeColor(text, badgeColors = {}) {
+  const value = text.trim().toLowerCase();
+  return badgeColors[value] || DEFAULT_BADGE_COLORS[value] || 'grey';
+}
+
+/**
+ * Renderers of the cell types set with "Column Types"
+ * Each one fills a cell from { text, value, column }: the displayed text and the
+ * raw sheet value. Values that don't fit the type are shown as text.
+ */
+export const CELL_RENDERERS = {
+  text: (cell, { text }, options) => appendHighlightedText(cell, text, options.searchTerm),
+  link: (cell, cellValue, options) => {
+    const url = getSafeUrl(cellValue.value);
+    if (!url) {
+      CELL_RENDERERS.text(cell, cellValue, options);
+      return;
+    }
+    const link = document.createElement('a');
+    link.classList.add('cell-link');
+    link.href = url.href;
+    if (url.origin !== window.location.origin) {
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+    }
+    appendHighlightedText(link, cellValue.text, options.searchTerm);
+    cell.appendChild(link);
+  },
+  email: (cell, cellValue, options) => {
+    if (!EMAIL_PATTERN.test(cellValue.value)) {
+      CELL_RENDERERS.text(cell, cellValue, options);
+      return;
+    }
+    const link = document.createElement('a');
+    link.classList.add('cell-link', 'cell-email');
+    link.href = `mailto:${encodeURIComponent(cellValue.value).replace('%40', '@')}`;
+    appendHighlightedText(link, cellValue.text, options.searchTerm);
+    cell.appendChild(link);
+  },
+  image: (cell, cellValue, options) => {
+    const url = getSafeUrl(cellValue.value);
+    if (!url) {
+      CELL_RENDERERS.text(cell, cellValue, options);
+      return;
+    }
+    const image = document.createElement('img');
+    image.classList.add('cell-image');
+    image.src = url.href;
+    image.alt = cellValue.column;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    cell.appendChild(image);
+  },
+  badge: (cell, { text }, options) => {
+    if (!text) return;
+    const badge = document.createElement('span');
+    badge.classList.add('cell-badge', `cell-badge-${getBadgeColor(text, options.badgeColors)}`);
+    appendHighlightedText(badge, text, options.searchTerm);
+    cell.appendChild(badge);
+  },
+  chips: (cell, { text }, options) => {
+    // Values are separated by commas, semicolons or line breaks
+    const values = text.split(/[,;\n]/).map((value) => value.trim()).filter((value) => value);
+    if (values.length === 0) return;
+    const chips = document.createElement('span');
+    chips.classList.add('cell-chips');
+    values.forEach((value) => {
+      const chip = document.createElement('span');
+      chip.classList.add('cell-chip');
+      appendHighlightedText(chip, value, options.searchTerm);
+      chips.appendChild(chip);
+    });
+    cell.appendChild(chips);
+  },
+};
+
+/**
+ * Gets the type a cell is rendered as
+ * Columns without a type get links for web and email addresses.
+ * @param {string} value - Raw sheet value
+ * @param {string} column - Column name
+ * @param {Object} cellTypes - Cell types by column, from "Column Types"
+ * @returns {string} A key of CELL_RENDERERS
+ */
+function getCellType(value, column, cellTypes = {}) {
+  if (cellTypes[column]) return cellTypes[column];
+  if (URL_PATTERN.test(value)) return 'link';
+  if (EMAIL_PATTERN.test(value)) return 'email';
+  return 'text';
+}
+
+/**
+ * Fills a table cell, card value or popover value with its rendered content
+ * @param {HTMLElement} cell - The element to fill
+ * @param {Object} row - Data row object
+ * @param {string} column - Column name
+ * @param {string} text - The cell text from getCellText
+ * @param {Object} options - { searchTerm, cellTypes, badgeColors }
+ */
+export function renderCell(cell, row, column, text, options = {}) {
+  const value = String(row[column] || '').trim();
+  const type = getCellType(value, column, options.cellTypes);
+  CELL_RENDERERS[type](cell, { text, value, column }, options);
+}
+
+/**
+ * Gets the instants an event starts and ends at
+ * Dates without a time cover the whole day; events without a usable end last
+ * one hour, or one day without a start time.
+ * @param {Object} row - Data row object
+ * @param {Object} state - Pagination state
+ * @returns {Object|null} { start, end }, or null if the row has no start date
+ */
+export function getEventRange(row, state) {
+  const {
+    startDateColumn,
+    startTimeColumn,
+    endDateColumn,
+    endTimeColumn,
+  } = state.eventColumns;
+  const start = getEventInstant(row, startDateColumn, startTimeColumn, state.dateSettings);
+  if (!start) return null;
+
+  let end = getEventInstant(row, endDateColumn, endTimeColumn, state.dateSettings);
+  if (end && !isTimeString(row[endTimeColumn])) {
+    end = new Date(end.getTime() + MS_PER_DAY);
+  }
+  if (!end || end <= start) {
+    const duration = isTimeString(row[startTimeColumn]) ? 60 * 60 * 1000 : MS_PER_DAY;
+    end = new Date(start.getTime() + duration);
+  }
+  return { start, end };
+}
+
+/**
+ * Gets a UTC Date for a day number, for Intl formatting and weekdays
+ * @param {number} dayNumber - The day number
+ * @returns {Date} Midnight UTC of the day
+ */
+export function getDayDate(dayNumber) {
+  return new Date(Date.UTC(1899, 11, 30) + dayNumber * MS_PER_DAY);
+}
+
+/**
+ * Gets the day number an event date falls on, as the table shows it
+ * With a time and configured timezones the day is taken in the display timezone.
+ * @param {Object} row - Data row object
+ * @param {string} dateColumn - Name of the date column
+ * @param {string} timeColumn - Name of the time column
+ * @param {Object} dateSettings - Timezone settings of the block
+ * @returns {number|null} The day number, or null if the row has no valid date
+ */
+export function getEventDayNumber(row, dateColumn, timeColumn, dateSettings = {}) {
+  const value = row[dateColumn];
+  if (!value || !isExcelSerialDate(value)) return null;
+
+  const zones = getRowZones(row, dateSettings);
+  if (zones && isTimeString(row[timeColumn])) {
+    const instant = createDateTimeFromExcel(value, row[timeColumn], zones.source);
+    return getDayNumber(getZonedParts(instant, zones.display));
+  }
+  return getDayNumber(getExcelDateParts(value));
+}
+
+/**
+ * Gets the items the pages are made of: the rows, or for grouped tables every
+ * group header followed by its rows unless the group is collapsed
+ * @param {Object} state - Pagination state
+ * @returns {Array} Rows and group headers
+ */
+export function getDisplayItems(state) {
+  if (!state.groups) return state.currentData;
+  return state.groups.flatMap((group) => (
+    state.collapsedGroups.has(group.key) ? [group] : [group, ...group.rows]
+  ));
+}
+
+/**
+ * Gets the number of pages of the current data
+ * @param {Object} state - Pagination state
+ * @returns {number} The number of pages
+ */
+export function getTotalPages(state) {
+  const itemCount = getDisplayItems(state).length;
+  if (state.allRows) return itemCount > 0 ? 1 : 0;
+  return Math.ceil(itemCount / state.itemsPerPage);
+}